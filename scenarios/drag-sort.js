@@ -12,6 +12,8 @@
  * - DOM操作和动画效果
  * - 数据结构操作
  * - 移动端touch事件兼容
+ * 
+ * 依赖 throttle.js（rafThrottle），浏览器中需先引入
  */
 
 // 1. 基础拖拽排序实现
@@ -51,6 +53,10 @@ class DragSort {
       onChange: options.onChange || (() => {})
     };
     
+    // 鼠标 / 触摸移动合并到每帧一次（throttle.js 的 rafThrottle），一帧内只计算一次位置和布局
+    const throttleFrame = typeof rafThrottle !== 'undefined' ? rafThrottle : require('../vanilla-js/throttle.js').rafThrottle;
+    this.scheduleMove = throttleFrame((clientX, clientY) => this.moveDrag(clientX, clientY));
+    
     this.init();
   }
   
@@ -133,14 +139,14 @@ class DragSort {
   
   // 鼠标移动
   handleMouseMove(e) {
-    this.moveDrag(e.clientX, e.clientY);
+    this.scheduleMove(e.clientX, e.clientY);
   }
   
   // 触摸移动
   handleTouchMove(e) {
     e.preventDefault();
     const touch = e.touches[0];
-    this.moveDrag(touch.clientX, touch.clientY);
+    this.scheduleMove(touch.clientX, touch.clientY);
   }
   
   // 移动拖拽
@@ -279,6 +285,8 @@ class DragSort {
   
   // 结束拖拽
   endDrag() {
+    // 先应用还没到帧的最后一次移动，保证按松手位置放置
+    this.scheduleMove.flush();
     if (!this.dragState.dragElement) return;
     
     const dragElement = this.dragState.dragElement;
@@ -364,6 +372,8 @@ class DragSort {
     this.container.removeEventListener('touchstart', this.handleTouchStart);
     document.removeEventListener('touchmove', this.handleTouchMove);
     document.removeEventListener('touchend', this.handleTouchEnd);
+    
+    this.scheduleMove.cancel();
   }
 }
 
@@ -403,6 +413,10 @@ class KanbanDragSort {
       onColumnChange: options.onColumnChange || (() => {})
     };
     
+    // 同 DragSort：移动合并到每帧一次
+    const throttleFrame = typeof rafThrottle !== 'undefined' ? rafThrottle : require('../vanilla-js/throttle.js').rafThrottle;
+    this.scheduleMove = throttleFrame((clientX, clientY) => this.moveDrag(clientX, clientY));
+    
     this.init();
   }
   
@@ -502,13 +516,13 @@ class KanbanDragSort {
   }
   
   handleMouseMove(e) {
-    this.moveDrag(e.clientX, e.clientY);
+    this.scheduleMove(e.clientX, e.clientY);
   }
   
   handleTouchMove(e) {
     e.preventDefault();
     const touch = e.touches[0];
-    this.moveDrag(touch.clientX, touch.clientY);
+    this.scheduleMove(touch.clientX, touch.clientY);
   }
   
   moveDrag(clientX, clientY) {
@@ -588,6 +602,7 @@ class KanbanDragSort {
   }
   
   endDrag() {
+    this.scheduleMove.flush();
     if (!this.dragState.isDragging) return;
     
     const item = this.dragState.dragElement;
@@ -13,6 +13,8 @@
  * - 大文件分片和并发控制
  * - 图片处理和 Canvas 操作
  * - 错误处理和用户体验
+ * 
+ * 依赖 promise-utils.js（pLimit），浏览器中需先引入
  */
 
 // 1. 基础文件上传组件
@@ -38,9 +40,12 @@ class FileUploader {
     };
     
     this.files = [];                   // 文件列表
-    this.uploadQueue = [];             // 上传队列
     this.activeUploads = new Map();    // 活跃上传
     
+    // 并发控制交给 pLimit（promise-utils.js），超出并发数的文件排队等待
+    const limit = typeof pLimit !== 'undefined' ? pLimit : require('../vanilla-js/promise-utils.js').pLimit;
+    this.uploadLimit = limit(this.options.concurrent);
+    
     this.callbacks = {
       onFileAdded: options.onFileAdded || (() => {}),
       onFileRemoved: options.onFileRemoved || (() => {}),
@@ -471,12 +476,12 @@ class FileUploader {
   }
   
   // 上传文件
-  async uploadFile(fileObj) {
-    if (this.activeUploads.size >= this.options.concurrent) {
-      this.uploadQueue.push(fileObj);
-      return;
-    }
-    
+  uploadFile(fileObj) {
+    return this.uploadLimit(() => this.runUpload(fileObj));
+  }
+  
+  // 执行上传（由 uploadFile 按并发数调度）
+  async runUpload(fileObj) {
     fileObj.status = 'uploading';
     this.activeUploads.set(fileObj.id, fileObj);
     this.updateFileItem(fileObj);
@@ -502,12 +507,6 @@ class FileUploader {
       this.activeUploads.delete(fileObj.id);
       this.updateFileItem(fileObj);
       this.callbacks.onUploadComplete(fileObj);
-      
-      // 处理队列中的下一个文件
-      if (this.uploadQueue.length > 0) {
-        const nextFile = this.uploadQueue.shift();
-        this.uploadFile(nextFile);
-      }
     }
   }
   
@@ -11,6 +11,8 @@
  * - 异步处理和防抖优化
  * - 插件化架构设计
  * - 用户体验优化
+ * 
+ * 依赖 debounce.js（asyncDebounce），浏览器中需先引入
  */
 
 // 1. 基础表单验证器
@@ -31,7 +33,7 @@ class FormValidator {
     this.rules = new Map();        // 验证规则
     this.errors = new Map();       // 错误信息
     this.validators = new Map();   // 自定义验证器
-    this.debounceTimers = new Map(); // 防抖定时器
+    this.debouncers = new Map();     // 每个字段的防抖验证函数
     
     this.setupBuiltinValidators();
     this.bindEvents();
@@ -140,6 +142,8 @@ class FormValidator {
     const field = e.target;
     if (!this.hasRules(field.name)) return;
     
+    // 立即验证，等待中的防抖验证不再需要
+    this.debouncers.get(field.name)?.cancel();
     this.validateField(field);
   }
   
@@ -154,20 +158,26 @@ class FormValidator {
     }
   }
   
-  // 防抖验证
+  // 防抖验证：每个字段一个 asyncDebounce（debounce.js），
+  // 新输入会中止上一轮还没完成的异步验证，旧结果不会覆盖新结果
   debounceValidate(field) {
     const fieldName = field.name;
-    
-    if (this.debounceTimers.has(fieldName)) {
-      clearTimeout(this.debounceTimers.get(fieldName));
+    let debounced = this.debouncers.get(fieldName);
+    
+    if (!debounced) {
+      const debounce = typeof asyncDebounce !== 'undefined' ? asyncDebounce : require('../vanilla-js/debounce.js').asyncDebounce;
+      debounced = debounce((target, signal) => this.validateField(target, signal), {
+        wait: this.options.debounceTime
+      });
+      this.debouncers.set(fieldName, debounced);
     }
     
-    const timer = setTimeout(() => {
-      this.validateField(field);
-      this.debounceTimers.delete(fieldName);
-    }, this.options.debounceTime);
-    
-    this.debounceTimers.set(fieldName, timer);
+    return debounced(field).catch((error) => {
+      // 被新输入中止的验证直接忽略
+      if (error.name !== 'AbortError') {
+        console.error('Validation error:', error);
+      }
+    });
   }
   
   // 添加验证规则
@@ -195,8 +205,8 @@ class FormValidator {
     return this.rules.has(fieldName);
   }
   
-  // 验证单个字段
-  async validateField(field) {
+  // 验证单个字段，signal 中止后不再更新界面
+  async validateField(field, signal) {
     const fieldName = field.name;
     const value = field.value;
     const rules = this.rules.get(fieldName);
@@ -207,10 +217,13 @@ class FormValidator {
     this.clearFieldError(fieldName);
     
     for (const rule of rules) {
-      const isValid = await this.executeRule(value, rule, field);
+      const outcome = await this.executeRule(value, rule, field, signal);
+      if (signal?.aborted) return false;
       
+      // Schema 规则返回 safeParse 的结果，错误信息直接从中取，不再解析第二次
+      const isValid = typeof rule === 'object' && rule.schema ? outcome.success : outcome;
       if (!isValid) {
-        const message = this.getErrorMessage(rule, field);
+        const message = this.getErrorMessage(rule, field, outcome);
         this.setFieldError(fieldName, message);
         this.updateFieldUI(field, false);
         return false;
@@ -221,8 +234,8 @@ class FormValidator {
     return true;
   }
   
-  // 执行验证规则
-  async executeRule(value, rule, field) {
+  // 执行验证规则，异步验证可以把 signal 传给 fetch，真正取消请求
+  async executeRule(value, rule, field, signal) {
     if (typeof rule === 'string') {
       // 简单规则名
       const validator = this.validators.get(rule);
@@ -231,22 +244,27 @@ class FormValidator {
     
     if (typeof rule === 'function') {
       // 自定义函数
-      return await rule(value, field);
+      return await rule(value, field, signal);
     }
     
     if (typeof rule === 'object') {
-      const { name, param, validator, async: isAsync } = rule;
+      const { name, param, validator, async: isAsync, schema } = rule;
+      
+      if (schema) {
+        // 使用 Schema（type-check.js）校验字段值，返回完整的 safeParse 结果
+        return schema.safeParse(value);
+      }
       
       if (validator) {
         // 直接提供验证函数
-        return isAsync ? await validator(value, param, field) : validator(value, param, field);
+        return isAsync ? await validator(value, param, field, signal) : validator(value, param, field);
       }
       
       if (name) {
         // 使用注册的验证器
         const registeredValidator = this.validators.get(name);
         if (registeredValidator) {
-          return registeredValidator.validate(value, param);
+          return registeredValidator.validate(value, param, signal);
         }
       }
     }
@@ -254,8 +272,13 @@ class FormValidator {
     return true;
   }
   
-  // 获取错误信息
-  getErrorMessage(rule, field) {
+  // 获取错误信息，Schema 规则传入 executeRule 得到的 safeParse 结果
+  getErrorMessage(rule, field, schemaResult) {
+    if (typeof rule === 'object' && rule.schema && !rule.message) {
+      // 取 schema 的第一条错误信息
+      return schemaResult && !schemaResult.success ? schemaResult.error.issues[0].message : '';
+    }
+    
     if (typeof rule === 'object' && rule.message) {
       return typeof rule.message === 'function' 
         ? rule.message(rule.param, field)
@@ -354,6 +377,35 @@ class FormValidator {
     return results.every(result => result);
   }
   
+  /**
+   * 用对象 Schema 整体校验表单数据，适合跨字段规则（refine 的 path 指向具体字段）
+   * @param {ObjectSchema} schema Schema.object(...)
+   * @returns {{ isValid: boolean, data: Object|null, errors: Object }} 通过时 data 为解析后的数据
+   */
+  validateWithSchema(schema) {
+    this.clearErrors();
+    const result = schema.safeParse(this.getFormData());
+    
+    if (result.success) {
+      return { isValid: true, data: result.data, errors: {} };
+    }
+    
+    // 只显示每个字段的第一条错误，嵌套路径归到顶层字段
+    result.error.issues.forEach(issue => {
+      const fieldName = String(issue.path[0] ?? '');
+      if (!fieldName || this.errors.has(fieldName)) return;
+      
+      this.setFieldError(fieldName, issue.message);
+      // 字段名来自 Schema 的 path，可能含引号等特殊字符，拼进选择器前要转义
+      const field = this.form.querySelector(`[name="${CSS.escape(fieldName)}"]`);
+      if (field) {
+        this.updateFieldUI(field, false);
+      }
+    });
+    
+    return { isValid: false, data: null, errors: this.getAllErrors() };
+  }
+  
   // 获取所有错误
   getAllErrors() {
     return Object.fromEntries(this.errors);
@@ -408,8 +460,8 @@ class FormValidator {
     this.form.removeEventListener('blur', this.handleBlur);
     this.form.removeEventListener('submit', this.handleSubmit);
     
-    this.debounceTimers.forEach(timer => clearTimeout(timer));
-    this.debounceTimers.clear();
+    this.debouncers.forEach(debounced => debounced.cancel());
+    this.debouncers.clear();
   }
 }
 
@@ -430,13 +482,13 @@ class AsyncFormValidator extends FormValidator {
   }
   
   // 重写验证字段方法
-  async validateField(field) {
+  async validateField(field, signal) {
     const fieldName = field.name;
     
     // 取消之前的验证
     this.pendingValidations.delete(fieldName);
     
-    const validation = super.validateField(field);
+    const validation = super.validateField(field, signal);
     this.pendingValidations.add(fieldName);
     
     try {
@@ -445,6 +497,7 @@ class AsyncFormValidator extends FormValidator {
       return result;
     } catch (error) {
       this.pendingValidations.delete(fieldName);
+      if (signal?.aborted) return false;
       this.setFieldError(fieldName, '验证过程中发生错误');
       this.updateFieldUI(field, false);
       return false;
@@ -25,6 +25,8 @@ class InfiniteScroll {
       threshold: 0.1,              // 触发阈值
       rootMargin: '100px',         // 提前触发距离
       loadMore: null,              // 加载更多数据的函数
+      source: null,                // 可迭代数据源（同步或异步），提供时代替 loadMore 按页拉取
+      pageSize: 20,                // 使用 source 时每页的数量
       hasMore: true,               // 是否还有更多数据
       loading: false,              // 当前是否正在加载
       autoLoad: true,              // 是否自动加载
@@ -53,6 +55,11 @@ class InfiniteScroll {
     this.observer = null;
     this.sentinel = null;
     
+    this.usesSource = Boolean(this.options.source && !this.options.loadMore);
+    if (this.usesSource) {
+      this.options.loadMore = this.createSourceLoader(this.options.source, this.options.pageSize);
+    }
+    
     this.init();
   }
   
@@ -188,6 +195,20 @@ class InfiniteScroll {
     }
   }
   
+  // 把可迭代数据源包装成 loadMore：每次只拉取一页，数据源可以是无限的
+  createSourceLoader(source, pageSize) {
+    const lazySequence = typeof lazy !== 'undefined' ? lazy : require('../vanilla-js/lazy-sequence.js').lazy;
+    const pages = lazySequence.async(source).chunk(pageSize)[Symbol.asyncIterator]();
+    
+    return async () => {
+      const { value, done } = await pages.next();
+      // 最后一页不满 pageSize 时可以确定没有更多；恰好满页时要再拉一次才知道
+      return done
+        ? { data: [], hasMore: false }
+        : { data: value, hasMore: value.length === pageSize };
+    };
+  }
+  
   // 处理加载成功
   handleLoadSuccess(result) {
     const { data, hasMore = false, total = 0 } = result;
@@ -327,6 +348,11 @@ class InfiniteScroll {
     // 清空已加载的内容
     const items = this.container.querySelectorAll(this.options.itemSelector);
     items.forEach(item => item.remove());
+    
+    // 从头重新迭代数据源（生成器对象只能迭代一次，需要可重复迭代的数据源）
+    if (this.usesSource) {
+      this.options.loadMore = this.createSourceLoader(this.options.source, this.options.pageSize);
+    }
   }
   
   // 手动触发加载
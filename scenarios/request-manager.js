@@ -12,6 +12,9 @@
  * - 错误处理和重试算法
  * - Promise和fetch API的使用
  * - 性能优化思维
+ * 
+ * 依赖 clock.js（systemClock）、type-check.js（Schema）、json-parser.js（parseJSONStream）
+ * 和 promise-utils.js（pLimit、pRetry），浏览器中需先引入
  */
 
 // 1. 基础请求管理器
@@ -30,6 +33,9 @@ class RequestManager {
       ...options
     };
     
+    // 时钟：超时、重试延迟、缓存过期都走它，测试时可注入 createFakeClock()
+    this.clock = options.clock || (typeof systemClock !== 'undefined' ? systemClock : require('../vanilla-js/clock.js').systemClock);
+    
     this.cache = new Map();           // 请求缓存
     this.pendingRequests = new Map(); // 进行中的请求
     this.requestStats = {             // 请求统计
@@ -91,38 +97,48 @@ class RequestManager {
     }
   }
   
-  // 执行请求（带重试）
-  async executeRequest(config, attempt = 1) {
+  // 执行请求（带重试）：重试和退避交给 pRetry（promise-utils.js），这里只决定哪些错误可以重试
+  async executeRequest(config) {
+    const retry = typeof pRetry !== 'undefined' ? pRetry : require('../vanilla-js/promise-utils.js').pRetry;
+    let attempts = 0;
+    
+    try {
+      return await retry((attempt) => {
+        attempts = attempt;
+        return this.fetchOnce(config);
+      }, {
+        retries: Infinity, // 次数上限由 shouldRetry 判断
+        strategy: (attempt) => this.calculateRetryDelay(attempt),
+        shouldRetry: (error, attempt) => this.shouldRetry(error, attempt, config),
+        onRetry: (error, attempt) => {
+          this.requestStats.retried++;
+          console.log(`Retrying request (attempt ${attempt + 1}):`, config.url);
+        },
+        clock: this.clock
+      });
+    } catch (error) {
+      throw this.createRequestError(error, config, attempts);
+    }
+  }
+  
+  // 发起单次请求（带超时）
+  async fetchOnce(config) {
+    const controller = new AbortController();
+    const timeoutId = this.clock.setTimeout(() => controller.abort(), config.timeout);
+    
     try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), config.timeout);
-      
       const response = await fetch(config.url, {
         ...config,
         signal: controller.signal
       });
       
-      clearTimeout(timeoutId);
-      
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
       }
       
       return response;
-      
-    } catch (error) {
-      // 判断是否需要重试
-      if (this.shouldRetry(error, attempt, config)) {
-        this.requestStats.retried++;
-        
-        const delay = this.calculateRetryDelay(attempt);
-        await this.delay(delay);
-        
-        console.log(`Retrying request (attempt ${attempt + 1}):`, config.url);
-        return this.executeRequest(config, attempt + 1);
-      }
-      
-      throw this.createRequestError(error, config, attempt);
+    } finally {
+      this.clock.clearTimeout(timeoutId);
     }
   }
   
@@ -179,7 +195,7 @@ class RequestManager {
     if (!cached) return null;
     
     // 检查是否过期
-    if (Date.now() > cached.expireTime) {
+    if (this.clock.now() > cached.expireTime) {
       this.cache.delete(key);
       return null;
     }
@@ -198,7 +214,7 @@ class RequestManager {
     
     this.cache.set(key, {
       response: response.clone(),
-      expireTime: Date.now() + this.options.cacheTimeout
+      expireTime: this.clock.now() + this.options.cacheTimeout
     });
   }
   
@@ -217,11 +233,6 @@ class RequestManager {
     return error;
   }
   
-  // 延迟函数
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-  
   // 获取统计信息
   getStats() {
     return {
@@ -260,6 +271,43 @@ class RequestManager {
   delete(url, options = {}) {
     return this.request(url, { ...options, method: 'DELETE' });
   }
+  
+  /**
+   * 流式读取 JSON / NDJSON 响应，边下载边解析，按 selector 逐个产出子树
+   * 响应体只能读一次，所以不走缓存和请求去重
+   *
+   * for await (const post of manager.stream(url, { selector: '$[*]' })) { ... }
+   *
+   * @param {string} url 请求地址
+   * @param {Object} options fetch 配置，另外支持：
+   * @param {string} options.selector JSONPath 风格的选择器，默认 '$'（每个顶层值）
+   * @param {boolean} options.multiple 是否为多个连续的 JSON 值，默认按 content-type 判断（ndjson / jsonl）
+   * @returns {AsyncGenerator}
+   */
+  async *stream(url, options = {}) {
+    const { selector = '$', multiple, ...fetchOptions } = options;
+    const parse = typeof parseJSONStream !== 'undefined' ? parseJSONStream : require('../vanilla-js/json-parser.js').parseJSONStream;
+    const config = this.mergeConfig(url, { ...fetchOptions, stream: true });
+    
+    this.requestStats.total++;
+    
+    // 响应体读完、解析结束才算请求结束；调用方提前 break 不算失败
+    let failed = false;
+    try {
+      const response = await this.executeRequest(config);
+      const contentType = response.headers.get('content-type') || '';
+      yield* parse(response.body, {
+        selector,
+        multiple: multiple !== undefined ? multiple : /ndjson|jsonl/.test(contentType)
+      });
+    } catch (error) {
+      failed = true;
+      this.requestStats.failed++;
+      throw error;
+    } finally {
+      if (!failed) this.requestStats.success++;
+    }
+  }
 }
 
 // 2. 高级请求管理器 - 支持拦截器
@@ -313,12 +361,12 @@ class AdvancedRequestManager extends RequestManager {
   }
   
   // 重写执行请求方法
-  async executeRequest(config, attempt = 1) {
+  async executeRequest(config) {
     // 应用请求拦截器
     const finalConfig = await this.runRequestInterceptors(config);
     
     try {
-      const response = await super.executeRequest(finalConfig, attempt);
+      const response = await super.executeRequest(finalConfig);
       
       // 应用响应拦截器
       return await this.runResponseInterceptors(response, finalConfig);
@@ -348,63 +396,53 @@ class RequestPoolManager extends AdvancedRequestManager {
       ...options
     });
     
-    this.activeRequests = 0;
-    this.requestQueue = [];
+    const limit = typeof pLimit !== 'undefined' ? pLimit : require('../vanilla-js/promise-utils.js').pLimit;
+    this.limit = limit(this.options.maxConcurrent);
   }
   
-  async request(url, options = {}) {
+  // 并发控制交给 pLimit（promise-utils.js），这里只负责排队超时
+  // 排队拿到一个并发名额，返回释放名额的函数
+  acquireSlot() {
     return new Promise((resolve, reject) => {
-      const requestTask = {
-        url,
-        options,
-        resolve,
-        reject,
-        timestamp: Date.now()
-      };
+      let timedOut = false;
+      const timer = this.clock.setTimeout(() => {
+        timedOut = true;
+        reject(new Error('Request queue timeout'));
+      }, this.options.queueTimeout);
       
-      if (this.activeRequests < this.options.maxConcurrent) {
-        this.executeRequestTask(requestTask);
-      } else {
-        this.requestQueue.push(requestTask);
-        
-        // 设置队列超时
-        setTimeout(() => {
-          const index = this.requestQueue.indexOf(requestTask);
-          if (index !== -1) {
-            this.requestQueue.splice(index, 1);
-            reject(new Error('Request queue timeout'));
-          }
-        }, this.options.queueTimeout);
-      }
+      this.limit(() => {
+        this.clock.clearTimeout(timer);
+        // 排队超时的请求已经失败，轮到它时直接跳过
+        if (timedOut) return undefined;
+        return new Promise((release) => resolve(release));
+      }).catch(reject); // 队列被清空时随之失败
     });
   }
   
-  async executeRequestTask(task) {
-    this.activeRequests++;
-    
+  async request(url, options = {}) {
+    const release = await this.acquireSlot();
     try {
-      const response = await super.request(task.url, task.options);
-      task.resolve(response);
-    } catch (error) {
-      task.reject(error);
+      return await super.request(url, options);
     } finally {
-      this.activeRequests--;
-      this.processQueue();
+      release();
     }
   }
   
-  processQueue() {
-    if (this.requestQueue.length > 0 && this.activeRequests < this.options.maxConcurrent) {
-      const nextTask = this.requestQueue.shift();
-      this.executeRequestTask(nextTask);
+  // 流式请求读完响应体之前一直占着连接，整个读取过程都占用名额
+  async *stream(url, options = {}) {
+    const release = await this.acquireSlot();
+    try {
+      yield* super.stream(url, options);
+    } finally {
+      release();
     }
   }
   
   getStats() {
     return {
       ...super.getStats(),
-      activeRequests: this.activeRequests,
-      queueLength: this.requestQueue.length
+      activeRequests: this.limit.activeCount,
+      queueLength: this.limit.pendingCount
     };
   }
 }
@@ -421,6 +459,35 @@ class ApiService {
     
     this.setupInterceptors();
     this.baseURL = 'https://jsonplaceholder.typicode.com';
+    this.schemas = this.createSchemas();
+  }
+  
+  // 接口数据的 Schema（type-check.js）：响应不符合约定时尽早报错，而不是在页面渲染时才出问题
+  createSchemas() {
+    const S = typeof Schema !== 'undefined' ? Schema : require('../vanilla-js/type-check.js').Schema;
+    
+    const user = S.object({
+      id: S.number().int().positive(),
+      name: S.string().min(1),
+      email: S.string().email()
+    }).passthrough();
+    
+    // 请求体用 strict：对象 Schema 默认 strip 会悄悄丢掉未声明的字段，调用方多传的字段应当直接报错
+    const newPost = S.object({
+      userId: S.number().int().positive(),
+      title: S.string().min(1).max(200),
+      body: S.string()
+    }).strict();
+    
+    const post = newPost.extend({ id: S.number().int().positive() }).passthrough();
+    
+    return {
+      user,
+      users: S.array(user),
+      newPost,
+      post,
+      posts: S.array(post)
+    };
   }
   
   setupInterceptors() {
@@ -452,8 +519,8 @@ class ApiService {
       if (response) {
         console.log('Response:', response.status, config.url);
         
-        // 自动解析JSON
-        if (response.headers.get('content-type')?.includes('application/json')) {
+        // 自动解析JSON（流式请求由调用方边读边解析，这里不能提前读取响应体）
+        if (!config.stream && response.headers.get('content-type')?.includes('application/json')) {
           const data = await response.json();
           response.data = data;
         }
@@ -466,12 +533,12 @@ class ApiService {
   // API方法
   async getUsers() {
     const response = await this.requestManager.get(`${this.baseURL}/users`);
-    return response.data;
+    return this.schemas.users.parse(response.data);
   }
   
   async getUser(id) {
     const response = await this.requestManager.get(`${this.baseURL}/users/${id}`);
-    return response.data;
+    return this.schemas.user.parse(response.data);
   }
   
   async getPosts(userId = null) {
@@ -479,17 +546,27 @@ class ApiService {
       ? `${this.baseURL}/posts?userId=${userId}`
       : `${this.baseURL}/posts`;
     const response = await this.requestManager.get(url);
-    return response.data;
+    return this.schemas.posts.parse(response.data);
+  }
+  
+  // 大列表流式读取：每篇文章解析完就校验并产出，不用等整个响应下载完
+  async *streamPosts() {
+    for await (const post of this.requestManager.stream(`${this.baseURL}/posts`, { selector: '$[*]' })) {
+      yield this.schemas.post.parse(post);
+    }
   }
   
+  // 提交前先校验参数，不合法的数据不发请求
   async createPost(post) {
-    const response = await this.requestManager.post(`${this.baseURL}/posts`, post);
-    return response.data;
+    const payload = this.schemas.newPost.parse(post);
+    const response = await this.requestManager.post(`${this.baseURL}/posts`, payload);
+    return this.schemas.post.parse(response.data);
   }
   
   async updatePost(id, post) {
-    const response = await this.requestManager.put(`${this.baseURL}/posts/${id}`, post);
-    return response.data;
+    const payload = this.schemas.newPost.parse(post);
+    const response = await this.requestManager.put(`${this.baseURL}/posts/${id}`, payload);
+    return this.schemas.post.parse({ id, ...response.data });
   }
   
   async deletePost(id) {
@@ -12,6 +12,8 @@
  * - 键盘导航和无障碍访问
  * - 缓存机制和数据管理
  * - 用户体验优化
+ * 
+ * 依赖 curry.js（pipe）和 debounce.js（asyncDebounce），浏览器中需先引入
  */
 
 // 1. 基础实时搜索组件
@@ -55,7 +57,7 @@ class SearchComponent {
       onClear: options.onClear || (() => {})
     };
     
-    this.debounceTimer = null;
+    this.debouncedSearch = null;     // 防抖后的搜索，见 debounceSearch
     this.elements = {};
     
     this.init();
@@ -390,28 +392,40 @@ class SearchComponent {
     if (value.length >= this.options.minLength) {
       this.debounceSearch(value);
     } else {
+      // 等待中或执行中的搜索已经过时
+      this.debouncedSearch?.cancel();
       this.close();
     }
   }
   
-  // 防抖搜索
+  // 防抖搜索：用 asyncDebounce（debounce.js）合并连续输入，
+  // 新一轮输入会中止上一轮还没返回的搜索，旧结果不会覆盖新结果
   debounceSearch(query) {
-    if (this.debounceTimer) {
-      clearTimeout(this.debounceTimer);
+    const wait = this.options.debounceTime;
+    // 防抖时间可以通过 updateSearchOptions 修改，变了就重新创建
+    if (!this.debouncedSearch || this.debouncedSearch.wait !== wait) {
+      this.debouncedSearch?.cancel();
+      const debounce = typeof asyncDebounce !== 'undefined' ? asyncDebounce : require('../vanilla-js/debounce.js').asyncDebounce;
+      this.debouncedSearch = debounce((q, signal) => this.search(q, signal), { wait });
+      this.debouncedSearch.wait = wait;
     }
     
-    this.debounceTimer = setTimeout(() => {
-      this.search(query);
-    }, this.options.debounceTime);
+    return this.debouncedSearch(query).catch((error) => {
+      // 被新输入中止的搜索直接忽略
+      if (error.name !== 'AbortError') {
+        console.error('Search error:', error);
+      }
+    });
   }
   
-  // 执行搜索
-  async search(query) {
+  // 执行搜索，signal 中止后不再更新界面
+  async search(query, signal) {
     if (!query || query.length < this.options.minLength) return;
     
     // 检查缓存
     if (this.options.enableCache && this.state.cache.has(query)) {
       const cachedResults = this.state.cache.get(query);
+      this.setLoading(false);
       this.displayResults(cachedResults, query);
       return;
     }
@@ -419,7 +433,8 @@ class SearchComponent {
     this.setLoading(true);
     
     try {
-      const results = await this.callbacks.onSearch(query);
+      // onSearch 可以把 signal 传给 fetch，真正取消网络请求
+      const results = await this.callbacks.onSearch(query, signal);
       const processedResults = this.processResults(results, query);
       
       // 缓存结果
@@ -427,36 +442,42 @@ class SearchComponent {
         this.state.cache.set(query, processedResults);
       }
       
+      if (signal?.aborted) return;
       this.displayResults(processedResults, query);
       
     } catch (error) {
+      if (signal?.aborted) return;
       console.error('Search error:', error);
       this.displayResults([], query);
     } finally {
-      this.setLoading(false);
+      // 被中止时新一轮搜索会接管加载状态
+      if (!signal?.aborted) {
+        this.setLoading(false);
+      }
     }
   }
   
-  // 处理搜索结果
+  // 处理搜索结果：按配置组装处理步骤，依次执行
   processResults(results, query) {
     if (!Array.isArray(results)) return [];
     
-    let processed = results;
+    const pipeSteps = typeof pipe !== 'undefined' ? pipe : require('../vanilla-js/curry.js').pipe;
+    const identity = items => items;
     
     // 限制结果数量
-    if (this.options.maxResults > 0) {
-      processed = processed.slice(0, this.options.maxResults);
-    }
+    const limit = this.options.maxResults > 0
+      ? items => items.slice(0, this.options.maxResults)
+      : identity;
     
     // 添加高亮信息
-    if (this.options.highlightMatch) {
-      processed = processed.map(item => ({
+    const highlight = this.options.highlightMatch
+      ? items => items.map(item => ({
         ...item,
         _highlighted: this.highlightText(item, query)
-      }));
-    }
+      }))
+      : identity;
     
-    return processed;
+    return pipeSteps(limit, highlight)(results);
   }
   
   // 高亮匹配文本
@@ -740,9 +761,7 @@ class SearchComponent {
   
   // 销毁组件
   destroy() {
-    if (this.debounceTimer) {
-      clearTimeout(this.debounceTimer);
-    }
+    this.debouncedSearch?.cancel();
     this.container.innerHTML = '';
   }
 }
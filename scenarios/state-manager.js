@@ -22,6 +22,7 @@ class SimpleStateManager {
     this.isDispatching = false;
     this.actionHistory = [];
     this.maxHistorySize = 50;
+    this.snapshot = state => ({ ...state }); // 历史记录的状态快照，可替换为 createDeepClone(...)
   }
   
   // 获取当前状态
@@ -43,6 +44,32 @@ class SimpleStateManager {
     };
   }
   
+  /**
+   * 订阅状态切片：只有 selector 选出的值变化时才通知
+   * 配合 createSelector 使用，输入没变时 selector 返回同一个引用，默认的 Object.is 就能过滤掉无关更新
+   * @param {Function} selector state => slice
+   * @param {Function} listener (slice, prevSlice) => void
+   * @param {Function} equalityFn 切片比较函数，默认 Object.is，也可传 shallowEqual / deepEqual
+   * @returns {Function} 取消订阅函数
+   */
+  subscribeSelector(selector, listener, equalityFn = Object.is) {
+    if (typeof selector !== 'function' || typeof listener !== 'function') {
+      throw new Error('Selector and listener must be functions');
+    }
+    
+    let currentSlice = selector(this.state);
+    
+    return this.subscribe((state) => {
+      const nextSlice = selector(state);
+      if (equalityFn(currentSlice, nextSlice)) {
+        return;
+      }
+      const prevSlice = currentSlice;
+      currentSlice = nextSlice;
+      listener(nextSlice, prevSlice);
+    });
+  }
+  
   // 派发action
   dispatch(action) {
     if (typeof action !== 'object' || action === null) {
@@ -97,7 +124,7 @@ class SimpleStateManager {
   recordAction(action, prevState) {
     this.actionHistory.push({
       action,
-      prevState: { ...prevState },
+      prevState: this.snapshot(prevState),
       timestamp: Date.now()
     });
     
@@ -184,7 +211,8 @@ class AdvancedStateManager extends AsyncStateManager {
       middlewares = [],
       devtools = false,
       persist = false,
-      persistKey = 'app_state'
+      persistKey = 'app_state',
+      snapshot
     } = config;
     
     // 如果启用持久化，尝试从存储中恢复状态
@@ -197,6 +225,12 @@ class AdvancedStateManager extends AsyncStateManager {
     this.persist = persist;
     this.persistKey = persistKey;
     
+    // 自定义快照，比如跳过部分字段、处理领域类：
+    // snapshot: createDeepClone({ filter: key => key !== 'cache', handlers })
+    if (typeof snapshot === 'function') {
+      this.snapshot = snapshot;
+    }
+    
     // 添加自定义中间件
     this.middlewares = [
       ...this.middlewares,
@@ -303,17 +337,17 @@ class AdvancedStateManager extends AsyncStateManager {
 }
 
 // 6. React Hook 支持
-function useStateManager(stateManager, selector = state => state) {
+// selector 推荐用 createSelector 创建，选中的切片不变时不会触发 setState
+function useStateManager(stateManager, selector = state => state, equalityFn = Object.is) {
   const [state, setState] = useState(() => selector(stateManager.getState()));
   
   useEffect(() => {
-    const unsubscribe = stateManager.subscribe((newState) => {
-      const selectedState = selector(newState);
+    const unsubscribe = stateManager.subscribeSelector(selector, (selectedState) => {
       setState(selectedState);
-    });
+    }, equalityFn);
     
     return unsubscribe;
-  }, [stateManager, selector]);
+  }, [stateManager, selector, equalityFn]);
   
   const dispatch = useCallback(
     (action) => stateManager.dispatch(action),
@@ -12,6 +12,8 @@
  * - DOM操作优化
  * - 数学计算能力（可视区域计算）
  * - 内存管理
+ * 
+ * 依赖 throttle.js（rafThrottle），浏览器中需先引入
  */
 
 // 1. 基础虚拟滚动实现
@@ -30,6 +32,7 @@ class VirtualScrollList {
     };
     
     this.data = [];             // 数据源
+    this.sourceBatches = null;  // 可迭代数据源的批次迭代器，见 setSource
     this.startIndex = 0;        // 可视区域开始索引
     this.endIndex = 0;          // 可视区域结束索引
     this.scrollTop = 0;         // 当前滚动位置
@@ -91,19 +94,11 @@ class VirtualScrollList {
   
   // 绑定事件
   bindEvents() {
-    let ticking = false;
-    
-    const handleScroll = () => {
-      if (!ticking) {
-        requestAnimationFrame(() => {
-          this.handleScroll();
-          ticking = false;
-        });
-        ticking = true;
-      }
-    };
+    // 滚动事件合并到每帧一次（throttle.js 的 rafThrottle），和渲染节奏保持一致
+    const throttleFrame = typeof rafThrottle !== 'undefined' ? rafThrottle : require('../vanilla-js/throttle.js').rafThrottle;
+    this.scrollListener = throttleFrame(() => this.handleScroll());
     
-    this.scrollElement.addEventListener('scroll', handleScroll, { passive: true });
+    this.scrollElement.addEventListener('scroll', this.scrollListener, { passive: true });
     
     // 监听窗口大小变化
     window.addEventListener('resize', this.handleResize.bind(this));
@@ -118,6 +113,9 @@ class VirtualScrollList {
     }
     
     this.scrollTop = scrollTop;
+    if (this.ensureLoaded()) {
+      this.calculateSizes();
+    }
     this.updateVisibleRange();
     this.renderItems();
   }
@@ -214,11 +212,55 @@ class VirtualScrollList {
   // 设置数据源
   setData(data) {
     this.data = data || [];
+    this.sourceBatches = null;
     this.calculateSizes();
     this.updateVisibleRange();
     this.renderItems();
   }
   
+  /**
+   * 设置可迭代数据源（生成器、无限序列等），不需要一次性生成全部数据
+   * 滚动接近已加载数据的末尾时，再按批拉取
+   * @param {Iterable} source 同步可迭代对象
+   * @param {Object} options 配置选项
+   * @param {number} options.batchSize 每批拉取的数量，默认 500
+   */
+  setSource(source, options = {}) {
+    const { batchSize = 500 } = options;
+    const lazySequence = typeof lazy !== 'undefined' ? lazy : require('../vanilla-js/lazy-sequence.js').lazy;
+    
+    this.setData([]);
+    this.sourceBatches = lazySequence(source).chunk(batchSize)[Symbol.iterator]();
+    this.ensureLoaded();
+    this.refresh();
+  }
+  
+  // 拉取下一批数据，数据源耗尽时返回 false
+  loadNextBatch() {
+    if (!this.sourceBatches) return false;
+    
+    const { value, done } = this.sourceBatches.next();
+    if (done) {
+      this.sourceBatches = null;
+      return false;
+    }
+    for (const item of value) {
+      this.data.push(item);
+    }
+    return true;
+  }
+  
+  // 保证可视区域和缓冲区内的数据已经拉取，有新数据时返回 true
+  ensureLoaded() {
+    const { itemHeight, bufferSize } = this.options;
+    const needed = Math.floor(this.scrollTop / itemHeight) + this.visibleCount + bufferSize + 1;
+    let loaded = false;
+    while (this.data.length < needed && this.loadNextBatch()) {
+      loaded = true;
+    }
+    return loaded;
+  }
+  
   // 设置渲染函数
   setRenderFunction(fn) {
     this.renderFunction = fn;
@@ -250,7 +292,8 @@ class VirtualScrollList {
   
   // 销毁
   destroy() {
-    this.scrollElement?.removeEventListener('scroll', this.handleScroll);
+    this.scrollElement?.removeEventListener('scroll', this.scrollListener);
+    this.scrollListener?.cancel();
     window.removeEventListener('resize', this.handleResize);
     this.container.innerHTML = '';
   }
@@ -373,6 +416,7 @@ class DynamicVirtualScrollList extends VirtualScrollList {
   // 重写设置数据
   setData(data) {
     this.data = data || [];
+    this.sourceBatches = null;
     this.itemHeights.clear();
     this.itemPositions.clear();
     this.measuredItems.clear();
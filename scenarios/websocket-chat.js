@@ -12,6 +12,8 @@
  * - 连接状态管理和重连机制
  * - 消息队列和本地存储
  * - 用户界面和交互设计
+ *
+ * 依赖 clock.js（systemClock）和 json-parser.js（StreamingJSONParser），浏览器中需先引入
  */
 
 // 1. WebSocket 聊天客户端
@@ -32,9 +34,13 @@ class WebSocketChat {
       autoScroll: true,
       showTypingIndicator: true,
       maxMessageLength: 1000,
+      messageFormat: 'json',    // json：一帧一条消息；ndjson：一帧可含多条消息，一条消息也可拆在多帧里
       ...options
     };
     
+    // 时钟：心跳、重连、输入状态定时器都走它，测试时可注入 createFakeClock()
+    this.clock = options.clock || (typeof systemClock !== 'undefined' ? systemClock : require('../vanilla-js/clock.js').systemClock);
+    
     this.state = {
       connected: false,
       connecting: false,
@@ -58,6 +64,7 @@ class WebSocketChat {
     };
     
     this.ws = null;
+    this.messageParser = null; // ndjson 模式下跨帧保留的流式解析器
     this.heartbeatTimer = null;
     this.reconnectTimer = null;
     this.typingTimer = null;
@@ -748,6 +755,7 @@ class WebSocketChat {
     this.updateConnectionStatus('connecting', '连接中...');
     
     try {
+      this.messageParser = null;
       this.ws = new WebSocket(this.options.serverUrl);
       
       this.ws.onopen = () => {
@@ -795,6 +803,11 @@ class WebSocketChat {
   
   // 处理消息接收
   handleMessage(event) {
+    if (this.options.messageFormat === 'ndjson') {
+      this.feedMessageStream(event.data);
+      return;
+    }
+    
     try {
       const message = JSON.parse(event.data);
       this.processMessage(message);
@@ -803,6 +816,29 @@ class WebSocketChat {
     }
   }
   
+  // ndjson 消息：解析器跨帧保留状态，每条消息解析完就处理
+  feedMessageStream(data) {
+    if (!this.messageParser) {
+      const Parser = typeof StreamingJSONParser !== 'undefined' ? StreamingJSONParser : require('../vanilla-js/json-parser.js').StreamingJSONParser;
+      this.messageParser = new Parser({ selector: '$', multiple: true })
+        .on('match', (message) => {
+          // 处理消息出错不是解析错误，不能丢弃解析器，同一帧里后面的消息照常处理
+          try {
+            this.processMessage(message);
+          } catch (error) {
+            console.error('Failed to process message:', error);
+          }
+        });
+    }
+    
+    try {
+      this.messageParser.feed(data);
+    } catch (error) {
+      console.error('Failed to parse message:', error);
+      this.messageParser = null; // 丢弃出错的半条消息，从下一帧重新开始
+    }
+  }
+  
   // 处理连接关闭
   handleClose(event) {
     this.state.connected = false;
@@ -867,7 +903,7 @@ class WebSocketChat {
       content: text,
       user: this.state.user,
       room: this.state.room,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     };
     
     this.sendSystemMessage(message);
@@ -980,7 +1016,7 @@ class WebSocketChat {
     this.addMessage({
       type: 'system',
       content: `${message.user.name} 加入了聊天室`,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
     
     this.callbacks.onUserJoin(message.user);
@@ -991,7 +1027,7 @@ class WebSocketChat {
     this.addMessage({
       type: 'system',
       content: `${message.user.name} 离开了聊天室`,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
     
     this.callbacks.onUserLeave(message.user);
@@ -1074,7 +1110,7 @@ class WebSocketChat {
   // 发送正在输入指示
   sendTypingIndicator() {
     if (this.typingTimer) {
-      clearTimeout(this.typingTimer);
+      this.clock.clearTimeout(this.typingTimer);
     } else {
       // 发送开始输入
       this.sendSystemMessage({
@@ -1085,7 +1121,7 @@ class WebSocketChat {
     }
     
     // 3秒后发送停止输入
-    this.typingTimer = setTimeout(() => {
+    this.typingTimer = this.clock.setTimeout(() => {
       this.sendSystemMessage({
         type: 'stopTyping',
         user: this.state.user,
@@ -1130,7 +1166,7 @@ class WebSocketChat {
   
   // 启动心跳
   startHeartbeat() {
-    this.heartbeatTimer = setInterval(() => {
+    this.heartbeatTimer = this.clock.setInterval(() => {
       if (this.state.connected) {
         this.sendSystemMessage({ type: 'ping' });
       }
@@ -1140,7 +1176,7 @@ class WebSocketChat {
   // 停止心跳
   stopHeartbeat() {
     if (this.heartbeatTimer) {
-      clearInterval(this.heartbeatTimer);
+      this.clock.clearInterval(this.heartbeatTimer);
       this.heartbeatTimer = null;
     }
   }
@@ -1151,7 +1187,7 @@ class WebSocketChat {
     
     this.updateConnectionStatus('connecting', `重连中... (${this.state.reconnectAttempts}/${this.options.maxReconnectAttempts})`);
     
-    this.reconnectTimer = setTimeout(() => {
+    this.reconnectTimer = this.clock.setTimeout(() => {
       this.connect();
     }, this.options.reconnectInterval);
   }
@@ -1334,7 +1370,7 @@ class WebSocketChat {
     this.stopHeartbeat();
     
     if (this.reconnectTimer) {
-      clearTimeout(this.reconnectTimer);
+      this.clock.clearTimeout(this.reconnectTimer);
       this.reconnectTimer = null;
     }
   }
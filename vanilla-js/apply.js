@@ -5,37 +5,65 @@
  * 唯一区别：参数传递方式不同，apply 接收参数数组，call 接收参数列表
  * 
  * 实现步骤：
- * 1. 把要执行的函数临时添加为 context 的属性
- * 2. 将参数数组展开后通过对象方法调用的方式执行函数
- * 3. 删除临时属性，避免污染原对象
+ * 1. 按规范 CreateListFromArrayLike 把类数组转为参数列表
+ * 2. 把要执行的函数临时添加为 context 的属性（Symbol 键、不可枚举）
+ * 3. 通过对象方法调用的方式执行函数
+ * 4. 删除临时属性，避免污染原对象
  * 
  * @param {Object} context 指定的 this 上下文
- * @param {Array} args 函数执行时的参数数组
+ * @param {Array} args 函数执行时的参数数组（或类数组）
  * @returns {any} 函数执行结果
  */
-Function.prototype.myApply = function(context, args) {
+function myApply(context, args) {
   // 类型检查：确保调用者是函数
   if (typeof this !== 'function') {
     throw new TypeError('Function.prototype.myApply called on non-function');
   }
 
-  // 处理 context：null/undefined 时指向全局对象
-  context = context || globalThis;
+  // 处理 context：null/undefined 时指向全局对象，基本类型装箱（与非严格模式一致）
+  context = context === null || context === undefined ? globalThis : Object(context);
   
-  // 参数检查：args 必须是数组或类数组对象
-  // 如果没有传参数或传入 null/undefined，则为空数组
-  args = args || [];
+  // 参数检查：null/undefined 视为空数组，其他非对象值（如字符串、数字）按规范抛 TypeError
+  // 类数组按 length 逐个取值，而不是用迭代器展开（{ length: 2, 0: 'a' } 也合法）
+  const argList = [];
+  if (args !== null && args !== undefined) {
+    if (typeof args !== 'object' && typeof args !== 'function') {
+      throw new TypeError('CreateListFromArrayLike called on non-object');
+    }
+    const length = Math.min(Math.max(Math.trunc(Number(args.length)) || 0, 0), Number.MAX_SAFE_INTEGER);
+    for (let i = 0; i < length; i++) {
+      argList.push(args[i]);
+    }
+  }
+  
+  // 冻结或不可扩展的对象无法添加临时属性，只能交给 Reflect.apply
+  if (!Object.isExtensible(context)) {
+    return Reflect.apply(this, context, argList);
+  }
   
   // 使用 Symbol 作为属性名，避免与原对象属性冲突
   const fnKey = Symbol('fn');
-  context[fnKey] = this;
-  
-  // 关键步骤：展开参数数组传入函数
-  // apply 和 call 的唯一区别就在这里
-  const result = context[fnKey](...args);
+  Object.defineProperty(context, fnKey, {
+    value: this,
+    configurable: true,
+    enumerable: false,
+    writable: false
+  });
   
-  // 清理临时属性，不污染原对象
-  delete context[fnKey];
-  
-  return result;
-}
\ No newline at end of file
+  try {
+    // 关键步骤：展开参数数组传入函数
+    // apply 和 call 的唯一区别就在这里
+    return context[fnKey](...argList);
+  } finally {
+    // 清理临时属性，即使函数抛错也不污染原对象
+    delete context[fnKey];
+  }
+}
+
+// 挂到原型上时也定义为不可枚举
+Object.defineProperty(Function.prototype, 'myApply', {
+  value: myApply,
+  configurable: true,
+  enumerable: false,
+  writable: true
+});
@@ -156,15 +156,228 @@ console.log('\n=== 对象数组去重（按id+name+age） ===');
 console.log('原数组:', multiFieldArray);
 console.log('去重后:', uniqueObjectArrayByMultipleFields(multiFieldArray, ['id', 'name', 'age']));
 
+// 11. 通用去重 uniqueBy（自定义 key / 比较方式 / 保留哪一个）
+//
+// 核心原理：把每一项映射成"去重键"，用 Map/Set 判断是否出现过，整体 O(n)
+// - 键的比较是 SameValueZero（与 Set 一致）：NaN 等于 NaN，+0 等于 -0
+// - 多字段键不拼字符串（'1|2' 会和 '1|2' 的其他组合冲突，还会丢失类型），用嵌套 Map 逐字段查找
+// - compare: 'deep' 把值序列化成结构键，深比较相等的值结构键相同，仍然是 O(n)
+// - compare 为函数时只能两两比较，退化为 O(n²)
+
+// 多字段键：嵌套 Map，每层按一个字段查找，最后一层用 LEAF 标记出现过
+const LEAF = Symbol('leaf');
+
+function createCompositeKeySet() {
+  const root = new Map();
+  return {
+    // 不存在则加入，返回是否是新键
+    add(parts) {
+      let node = root;
+      for (const part of parts) {
+        if (!node.has(part)) {
+          node.set(part, new Map());
+        }
+        node = node.get(part);
+      }
+      if (node.has(LEAF)) {
+        return false;
+      }
+      node.set(LEAF, true);
+      return true;
+    }
+  };
+}
+
+// 结构键：深比较相等 ⇔ 结构键相同
+// 普通对象按键名排序，Map/Set 按成员的结构键排序，其他对象（类实例、函数、Symbol）按引用区分
+function createStructuralKey() {
+  const ids = new WeakMap();
+  const symbolIds = new Map();
+  let nextId = 0;
+  const identity = (value) => {
+    const store = typeof value === 'symbol' ? symbolIds : ids;
+    if (!store.has(value)) {
+      store.set(value, nextId++);
+    }
+    return `#${store.get(value)}`;
+  };
+
+  const toKey = (value, stack) => {
+    if (value === null) return 'null';
+    switch (typeof value) {
+      case 'undefined': return 'undefined';
+      case 'number': return `n:${value === 0 ? 0 : value}`; // -0 与 0 相同，NaN 得到 n:NaN
+      case 'bigint': return `b:${value}`;
+      case 'string': return `s:${JSON.stringify(value)}`;
+      case 'boolean': return `${value}`;
+      case 'symbol':
+      case 'function': return identity(value);
+    }
+
+    if (stack.includes(value)) {
+      throw new TypeError('uniqueBy: cannot compare circular structures deeply');
+    }
+    stack.push(value);
+    try {
+      const proto = Object.getPrototypeOf(value);
+      if (Array.isArray(value)) {
+        return `[${value.map(item => toKey(item, stack)).join(',')}]`;
+      }
+      if (value instanceof Date) {
+        return `d:${value.getTime()}`;
+      }
+      if (value instanceof RegExp) {
+        return `r:${value}`;
+      }
+      if (value instanceof Map) {
+        const entries = [...value].map(([k, v]) => `${toKey(k, stack)}=>${toKey(v, stack)}`);
+        return `M{${entries.sort().join(',')}}`;
+      }
+      if (value instanceof Set) {
+        return `S{${[...value].map(item => toKey(item, stack)).sort().join(',')}}`;
+      }
+      if (proto === Object.prototype || proto === null) {
+        const entries = Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${toKey(value[k], stack)}`);
+        return `{${entries.join(',')}}`;
+      }
+      return identity(value);
+    } finally {
+      stack.pop();
+    }
+  };
+
+  return (value) => toKey(value, []);
+}
+
+// 把 key 选项统一成 (item, index) => 键，多字段时返回数组
+function resolveKeySelector(key) {
+  if (key === undefined) return item => item;
+  if (typeof key === 'function') return key;
+  if (Array.isArray(key)) return item => key.map(field => item[field]);
+  return item => item[key];
+}
+
+/**
+ * 惰性去重 - 边读边产出第一次出现的项，适合无限序列或很大的输入
+ *
+ * @param {Iterable} iterable 任意可迭代对象（数组、Set、生成器等）
+ * @param {Object} options 同 uniqueBy，不支持 keep: 'last'
+ * @returns {Generator}
+ */
+function* iterateUniqueBy(iterable, options = {}) {
+  function* entries() {
+    let index = 0;
+    for (const item of iterable) {
+      yield { item, index: index++ };
+    }
+  }
+  for (const entry of uniqueEntries(entries(), options)) {
+    yield entry.item;
+  }
+}
+
+// 去重核心：entries 为 { item, index }，key 拿到的是 entry 自带的下标（keep: 'last' 倒序时仍是原始下标）
+function* uniqueEntries(entries, options) {
+  const { key, compare = 'sameValueZero' } = options;
+  const selectKey = resolveKeySelector(key);
+  const isMultiField = Array.isArray(key);
+
+  // 自定义比较函数：和已保留的键逐个比较
+  if (typeof compare === 'function') {
+    const keptKeys = [];
+    for (const entry of entries) {
+      const itemKey = selectKey(entry.item, entry.index);
+      if (!keptKeys.some(kept => compare(kept, itemKey))) {
+        keptKeys.push(itemKey);
+        yield entry;
+      }
+    }
+    return;
+  }
+
+  if (compare !== 'sameValueZero' && compare !== 'deep') {
+    throw new TypeError(`Unknown compare: ${compare}`);
+  }
+
+  const structuralKey = compare === 'deep' ? createStructuralKey() : null;
+  const seen = isMultiField && !structuralKey ? createCompositeKeySet() : new Set();
+  for (const entry of entries) {
+    let itemKey = selectKey(entry.item, entry.index);
+    if (structuralKey) {
+      itemKey = structuralKey(itemKey);
+    }
+    const isNew = seen instanceof Set
+      ? !seen.has(itemKey) && Boolean(seen.add(itemKey))
+      : seen.add(itemKey);
+    if (isNew) {
+      yield entry;
+    }
+  }
+}
+
+/**
+ * 通用去重
+ *
+ * @param {Iterable} iterable 任意可迭代对象
+ * @param {Object} options 配置选项
+ * @param {Function|string|string[]} options.key 去重键：(item, index) => key、字段名或多个字段名，默认项本身
+ * @param {string|Function} options.compare 键的比较方式：'sameValueZero'（默认）、'deep' 或 (a, b) => boolean
+ * @param {string} options.keep 重复时保留 'first'（默认）还是 'last'，结果按保留项原来的位置排序
+ * @returns {Array}
+ */
+function uniqueBy(iterable, options = {}) {
+  const { keep = 'first', ...rest } = options;
+  if (iterable === null || iterable === undefined || typeof iterable[Symbol.iterator] !== 'function') {
+    throw new TypeError('uniqueBy expects an iterable');
+  }
+
+  if (keep === 'first') {
+    return [...iterateUniqueBy(iterable, rest)];
+  }
+  if (keep !== 'last') {
+    throw new TypeError(`Unknown keep: ${keep}`);
+  }
+
+  // 保留最后一个：倒序去重再反转，key / compare 原样传入，key 函数拿到的仍是原始下标
+  const reversed = [...iterable].map((item, index) => ({ item, index })).reverse();
+  return [...uniqueEntries(reversed, rest)].reverse().map(entry => entry.item);
+}
+
+console.log('\n=== uniqueBy ===');
+console.log('NaN 与 ±0:', uniqueBy([NaN, NaN, 0, -0, '0']));
+console.log('按字段保留最后一个:', uniqueBy(objArray, { key: 'id', keep: 'last' }));
+console.log('多字段:', uniqueBy([{ a: 1, b: '2' }, { a: '1', b: 2 }, { a: 1, b: '2' }], { key: ['a', 'b'] }));
+console.log('多字段保留最后一个:', uniqueBy([{ a: 1, b: 2, v: 1 }, { a: 1, b: 3, v: 2 }, { a: 1, b: 2, v: 3 }], { key: ['a', 'b'], keep: 'last' })); // v: 2, 3
+console.log('深比较:', uniqueBy([{ x: [1, { y: NaN }] }, { x: [1, { y: NaN }] }, new Set([1])], { compare: 'deep' }));
+console.log('忽略大小写:', uniqueBy(new Set(['Vue', 'vue', 'React']), { key: s => s.toLowerCase() }));
+
+// 生成器输入：只读取需要的部分
+function* naturals() {
+  for (let i = 0; ; i++) yield i;
+}
+const firstFive = [];
+for (const n of iterateUniqueBy(naturals(), { key: n => n % 5 })) {
+  firstFive.push(n);
+  if (firstFive.length === 5) break;
+}
+console.log('无限序列按余数去重:', firstFive); // [0, 1, 2, 3, 4]
+
 // 性能测试
 console.log('\n=== 性能测试 ===');
 const largeArray = Array.from({ length: 10000 }, () => Math.floor(Math.random() * 1000));
 
-function performanceTest(fn, name, arr) {
-  const start = performance.now();
-  fn(arr);
-  const end = performance.now();
-  console.log(`${name}: ${(end - start).toFixed(2)}ms`);
+// repeat 次取最快的一次，减少 GC 等干扰；返回耗时方便做基准对比
+function performanceTest(fn, name, arr, repeat = 1) {
+  let best = Infinity;
+  for (let i = 0; i < repeat; i++) {
+    const start = performance.now();
+    fn(arr);
+    best = Math.min(best, performance.now() - start);
+  }
+  if (name) {
+    console.log(`${name}: ${best.toFixed(2)}ms`);
+  }
+  return best;
 }
 
 performanceTest(uniqueBySet, 'Set方法', largeArray);
@@ -172,6 +385,44 @@ performanceTest(uniqueByMap, 'Map方法', largeArray);
 performanceTest(uniqueByIncludes, 'includes方法', largeArray);
 performanceTest(uniqueByFilter, 'filter方法', largeArray);
 
+/**
+ * 复杂度基准：输入规模每次翻 4 倍，看耗时翻多少倍
+ * 耗时比约 4 → O(n)，约 16 → O(n²)；估算指数 k = log4(耗时比)
+ * 一半元素重复，结果数组随 n 增长，才能暴露 includes/indexOf 的线性查找
+ */
+function benchmark(strategies, sizes = [1000, 4000, 16000]) {
+  const rows = {};
+  Object.entries(strategies).forEach(([name, fn]) => {
+    const times = sizes.map(size => {
+      const input = Array.from({ length: size }, () => Math.floor(Math.random() * size / 2));
+      return performanceTest(fn, null, input, 3);
+    });
+    const ratio = times[times.length - 1] / Math.max(times[times.length - 2], 0.01);
+    const exponent = Math.log(ratio) / Math.log(sizes[sizes.length - 1] / sizes[sizes.length - 2]);
+    rows[name] = {
+      ...Object.fromEntries(sizes.map((size, i) => [`n=${size}`, `${times[i].toFixed(2)}ms`])),
+      '估算复杂度': exponent < 1.5 ? 'O(n)' : `O(n^${exponent.toFixed(1)})`
+    };
+  });
+  console.table(rows);
+}
+
+// 基准测试比较耗时，不在加载时运行，需要时在控制台调用 runUniqueBenchmark()
+const runUniqueBenchmark = (sizes) => benchmark({
+  'Set': uniqueBySet,
+  'Map': uniqueByMap,
+  'Object': uniqueByObject,
+  'uniqueBy': arr => uniqueBy(arr),
+  'uniqueBy(keep: last)': arr => uniqueBy(arr, { keep: 'last' }),
+  'uniqueBy(deep)': arr => uniqueBy(arr, { compare: 'deep' }),
+  'includes': uniqueByIncludes,
+  'indexOf': uniqueByIndexOf,
+  'filter+indexOf': uniqueByFilter,
+  'reduce': uniqueByReduce,
+  '双重循环': uniqueByLoop,
+  'uniqueBy(compare 函数)': arr => uniqueBy(arr, { compare: Object.is })
+}, sizes);
+
 // 总结
 console.log('\n=== 方法总结 ===');
 console.log('1. Set方法: 最简洁，性能好，正确处理NaN');
@@ -180,4 +431,5 @@ console.log('3. filter+indexOf: 简洁但对NaN处理有问题');
 console.log('4. includes方法: 正确处理NaN但性能一般');
 console.log('5. Object方法: 需要处理类型转换问题');
 console.log('6. 双重循环: 最基础但性能最差');
+console.log('7. uniqueBy: 自定义键/多字段/深比较都是 O(n)，只有自定义比较函数是 O(n²)');
 console.log('推荐: 优先使用Set方法，对象数组用Map或Set处理');
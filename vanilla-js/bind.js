@@ -7,17 +7,21 @@
  * 2. 参数预设 - 支持分步传参（柯里化）
  * 3. 构造函数调用 - 作为构造函数时忽略 this 绑定
  * 
- * 实现要点：
+ * 实现要点（对齐规范 BoundFunctionCreate）：
  * 1. 保存原函数引用，避免 this 指向混乱
- * 2. 判断是否作为构造函数调用（new 操作符）
+ * 2. 用 new.target 判断是否作为构造函数调用，通过 Reflect.construct 构造，
+ *    支持 class、构造函数返回对象、子类 new.target 等情况
  * 3. 合并预设参数和调用时参数
- * 4. 不依赖原生 apply，使用自己的实现逻辑
+ * 4. name 为 "bound xxx"，length 为原函数 length 减去预设参数个数（最小为 0）
+ * 5. 没有自己的 prototype，instanceof 委托给原函数
+ *    （原函数能 new 时受限于语言做不到：普通函数的 prototype 不可删除，只能置为 undefined）
+ * 6. 普通调用不依赖原生 apply，使用 apply.js 中的 myApply
  * 
  * @param {Object} context 绑定的 this 上下文
  * @param {...any} args 预设的参数
  * @returns {Function} 绑定后的新函数
  */
-Function.prototype.myBind = function(context, ...args) {
+function myBind(context, ...args) {
   // 类型检查：确保调用者是函数
   if (typeof this !== 'function') {
     throw new TypeError('Function.prototype.myBind called on non-function');
@@ -27,30 +31,104 @@ Function.prototype.myBind = function(context, ...args) {
   // 在返回的函数中，this 的指向会改变，所以必须提前保存
   const fn = this;
   
+  // 普通调用：使用绑定的 context，合并参数：预设参数 + 调用时参数
+  const callBound = (callArgs) => fn.myApply(context, [...args, ...callArgs]);
+  
+  // 判断原函数有没有 [[Construct]]：Reflect.construct 会先校验 newTarget，不会真的执行 fn
+  let constructible = true;
+  try {
+    Reflect.construct(String, [], fn);
+  } catch (e) {
+    constructible = false;
+  }
+  
   // 返回绑定后的新函数
-  return function Fn() {
-    // 判断调用方式：构造函数调用 vs 普通调用
-    // new Fn() 时：this instanceof Fn 为 true，应该忽略绑定的 context
-    // 普通调用时：this instanceof Fn 为 false，使用绑定的 context
-    const targetContext = this instanceof Fn ? this : context;
-    
-    // 合并参数：预设参数 + 调用时参数
-    const allArgs = args.concat(...arguments);
-    
-    // 不使用原生 apply，手动实现调用逻辑
-    // 处理 context
-    const finalContext = targetContext || globalThis;
-    
-    // 使用 Symbol 避免属性名冲突
-    const fnKey = Symbol('fn');
-    finalContext[fnKey] = fn;
-    
-    // 执行函数
-    const result = finalContext[fnKey](...allArgs);
-    
-    // 清理临时属性
-    delete finalContext[fnKey];
-    
-    return result;
+  let bound;
+  if (constructible) {
+    bound = function(...callArgs) {
+      // 构造函数调用：忽略绑定的 context
+      // new bound() 时 new.target 是 bound，规范要求换成原函数；
+      // 子类 extends bound 时 new.target 是子类，原样传下去
+      if (new.target) {
+        return Reflect.construct(fn, [...args, ...callArgs], new.target === bound ? fn : new.target);
+      }
+      return callBound(callArgs);
+    };
+  } else {
+    // 原函数不能 new（箭头函数、方法简写等）时，绑定函数也不能 new
+    // 方法简写正好没有 [[Construct]]，也没有 prototype，和原生完全一致
+    ({ bound } = { bound(...callArgs) { return callBound(callArgs); } });
+  }
+  
+  // length：原函数 length 按 ToIntegerOrInfinity 取整（NaN 视为 0）后减去预设参数个数，Infinity 保持不变
+  let length = 0;
+  if (Object.prototype.hasOwnProperty.call(fn, 'length') && typeof fn.length === 'number') {
+    length = Math.max(0, (Math.trunc(fn.length) || 0) - args.length);
+  }
+  
+  // name：bound + 原函数名
+  const name = typeof fn.name === 'string' ? fn.name : '';
+  
+  // 和原生一样：不可写、不可枚举、可配置
+  Object.defineProperties(bound, {
+    length: { value: length, writable: false, enumerable: false, configurable: true },
+    name: { value: `bound ${name}`, writable: false, enumerable: false, configurable: true }
+  });
+  
+  // 原生绑定函数没有 prototype，x instanceof bound 等价于 x instanceof fn
+  // 能 new 的普通函数自带不可删除（non-configurable）的 prototype，无法去掉，只能置为 undefined
+  if (constructible) {
+    bound.prototype = undefined;
+  }
+  Object.defineProperty(bound, Symbol.hasInstance, {
+    value: (instance) => instance instanceof fn,
+    configurable: true
+  });
+  
+  return bound;
+}
+
+// 挂到原型上时也定义为不可枚举
+Object.defineProperty(Function.prototype, 'myBind', {
+  value: myBind,
+  configurable: true,
+  enumerable: false,
+  writable: true
+});
+
+/**
+ * 按需安装 call/apply/bind polyfill
+ * 
+ * 特性检测：只有原生方法缺失时才打补丁，已有的原生实现不覆盖
+ * 安装的属性与原生一致：不可枚举、可写、可配置
+ * 依赖 call.js、apply.js 先加载（提供 myCall、myApply）
+ * 
+ * @returns {string[]} 实际安装的方法名
+ */
+const installFunctionPolyfills = () => {
+  const polyfills = {
+    call: Function.prototype.myCall,
+    apply: Function.prototype.myApply,
+    bind: Function.prototype.myBind
   };
-}
\ No newline at end of file
+  const installed = [];
+  
+  Object.keys(polyfills).forEach((name) => {
+    if (typeof Function.prototype[name] === 'function' || typeof polyfills[name] !== 'function') {
+      return;
+    }
+    Object.defineProperty(Function.prototype, name, {
+      value: polyfills[name],
+      configurable: true,
+      enumerable: false,
+      writable: true
+    });
+    installed.push(name);
+  });
+  
+  return installed;
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { myBind, installFunctionPolyfills };
+}
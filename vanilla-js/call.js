@@ -5,34 +5,56 @@
  * 当函数作为对象的方法被调用时，函数内的 this 会指向那个对象
  * 
  * 实现步骤：
- * 1. 把要执行的函数临时添加为 context 的属性
+ * 1. 把要执行的函数临时添加为 context 的属性（Symbol 键、不可枚举）
  * 2. 通过对象方法调用的方式执行函数
  * 3. 删除临时属性，避免污染原对象
  * 
+ * 与规范的差异：原生 call 对严格模式函数会原样传入 null/undefined/基本类型，
+ * 这里只能按非严格模式处理（null/undefined 指向全局对象，基本类型装箱）
+ * 
  * @param {Object} context 指定的 this 上下文
  * @param {...any} args 函数执行时的参数
  * @returns {any} 函数执行结果
  */
-Function.prototype.myCall = function(context, ...args) {
+function myCall(context, ...args) {
   // 类型检查：确保调用者是函数
   // 防止通过 call/apply 等方式调用时 this 不是函数的情况
   if (typeof this !== 'function') {
     throw new TypeError('Function.prototype.myCall called on non-function');
   }
 
-  // 处理 context：null/undefined 时指向全局对象
-  // 注意：严格模式下应该保持 null/undefined，这里简化处理
-  context = context || globalThis;
+  // 处理 context：null/undefined 时指向全局对象，基本类型装箱（与非严格模式一致）
+  // 注意：不能用 context || globalThis，否则 0、'' 等假值会被错误替换
+  context = context === null || context === undefined ? globalThis : Object(context);
+  
+  // 冻结或不可扩展的对象无法添加临时属性，只能交给 Reflect.apply
+  if (!Object.isExtensible(context)) {
+    return Reflect.apply(this, context, args);
+  }
   
   // 使用 Symbol 作为属性名，避免与原对象属性冲突
+  // defineProperty 定义为不可枚举，执行期间 for...in / Object.keys 也看不到
   const fnKey = Symbol('fn');
-  context[fnKey] = this;
-  
-  // 通过对象方法调用，此时函数内 this 指向 context
-  const result = context[fnKey](...args);
+  Object.defineProperty(context, fnKey, {
+    value: this,
+    configurable: true,
+    enumerable: false,
+    writable: false
+  });
   
-  // 清理临时属性，不污染原对象
-  delete context[fnKey];
-  
-  return result;
-}
\ No newline at end of file
+  try {
+    // 通过对象方法调用，此时函数内 this 指向 context
+    return context[fnKey](...args);
+  } finally {
+    // 清理临时属性，即使函数抛错也不污染原对象
+    delete context[fnKey];
+  }
+}
+
+// 挂到原型上时也定义为不可枚举，避免 for...in 遍历函数时出现 myCall
+Object.defineProperty(Function.prototype, 'myCall', {
+  value: myCall,
+  configurable: true,
+  enumerable: false,
+  writable: true
+});
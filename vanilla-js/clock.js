@@ -0,0 +1,201 @@
+/**
+ * 手写时钟抽象 + 假定时器
+ *
+ * 防抖、节流、缓存过期、请求重试、心跳重连都依赖 setTimeout 和 Date.now，
+ * 直接调用全局函数会导致测试又慢又不稳定。
+ * 这些工具都接受 options.clock，默认使用 systemClock，测试时注入 createFakeClock()。
+ *
+ * 时钟接口：
+ * - now()
+ * - setTimeout / clearTimeout / setInterval / clearInterval
+ * - requestAnimationFrame / cancelAnimationFrame
+ * - requestIdleCallback / cancelIdleCallback
+ */
+
+// 1. 系统时钟 - 调用时才读取全局函数，方便测试框架替换全局定时器
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay, ...args) => setTimeout(callback, delay, ...args),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (callback, delay, ...args) => setInterval(callback, delay, ...args),
+  clearInterval: (id) => clearInterval(id),
+
+  // 不支持 requestAnimationFrame 时降级为 16ms 定时器
+  requestAnimationFrame: (callback) => typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame(callback)
+    : setTimeout(() => callback(Date.now()), 16),
+  cancelAnimationFrame: (id) => typeof cancelAnimationFrame === 'function'
+    ? cancelAnimationFrame(id)
+    : clearTimeout(id),
+
+  // 不支持 requestIdleCallback（如 Safari）时用定时器模拟，给 50ms 的空闲时间
+  requestIdleCallback: (callback, options) => {
+    if (typeof requestIdleCallback === 'function') {
+      return requestIdleCallback(callback, options);
+    }
+    return setTimeout(() => {
+      const start = Date.now();
+      callback({
+        didTimeout: false,
+        timeRemaining: () => Math.max(0, 50 - (Date.now() - start))
+      });
+    }, 1);
+  },
+  cancelIdleCallback: (id) => typeof cancelIdleCallback === 'function'
+    ? cancelIdleCallback(id)
+    : clearTimeout(id)
+};
+
+/**
+ * 2. 假时钟 - 时间只在调用 tick / runAll 时前进
+ *
+ * 核心原理：定时器只登记不执行，推进时间时按触发时间顺序同步执行
+ * - 触发时间相同的按注册顺序执行
+ * - 定时器回调里注册的新定时器，只要在目标时间之内也会执行
+ * - tickAsync / runAllAsync 在每个定时器之间清空微任务，适合 await 延时的代码
+ *
+ * @param {number} startTime 起始时间，默认 0
+ * @returns {Object} 实现时钟接口，另有 tick / tickAsync / runAll / runAllAsync / reset / pendingCount
+ */
+const createFakeClock = (startTime = 0) => {
+  const MAX_TIMERS = 1000; // runAll 最多执行的定时器数，防止 setInterval 死循环
+  let current = startTime;
+  let nextId = 1;
+  let timers = new Map(); // id -> { id, callback, args, time, interval }
+
+  const add = (callback, delay, args, repeat) => {
+    const id = nextId++;
+    const wait = Math.max(0, Number(delay) || 0);
+    timers.set(id, {
+      id,
+      callback,
+      args,
+      time: current + wait,
+      // 间隔为 0 的 setInterval 至少前进 1ms，否则 tick 会死循环
+      interval: repeat ? Math.max(1, wait) : null
+    });
+    return id;
+  };
+
+  const remove = (id) => {
+    timers.delete(id);
+  };
+
+  // 触发时间最早的定时器，超过 limit 的不算
+  const nextTimer = (limit = Infinity) => {
+    let first = null;
+    for (const timer of timers.values()) {
+      if (timer.time > limit) continue;
+      if (!first || timer.time < first.time || (timer.time === first.time && timer.id < first.id)) {
+        first = timer;
+      }
+    }
+    return first;
+  };
+
+  const runTimer = (timer) => {
+    current = timer.time;
+    if (timer.interval === null) {
+      timers.delete(timer.id);
+    } else {
+      timer.time += timer.interval;
+    }
+    timer.callback(...timer.args);
+  };
+
+  // 清空微任务队列（多等几轮，覆盖 await 链）
+  const flushMicrotasks = async () => {
+    for (let i = 0; i < 10; i++) {
+      await Promise.resolve();
+    }
+  };
+
+  const clock = {
+    now: () => current,
+    setTimeout: (callback, delay, ...args) => add(callback, delay, args, false),
+    clearTimeout: remove,
+    setInterval: (callback, delay, ...args) => add(callback, delay, args, true),
+    clearInterval: remove,
+    requestAnimationFrame: (callback) => add(() => callback(current), 16, [], false),
+    cancelAnimationFrame: remove,
+    requestIdleCallback: (callback) => add(() => callback({
+      didTimeout: false,
+      timeRemaining: () => 50
+    }), 1, [], false),
+    cancelIdleCallback: remove,
+
+    // 时间前进 ms，期间到期的定时器依次执行
+    tick(ms = 0) {
+      const target = current + ms;
+      let timer;
+      while ((timer = nextTimer(target))) {
+        runTimer(timer);
+      }
+      current = target;
+      return current;
+    },
+
+    async tickAsync(ms = 0) {
+      const target = current + ms;
+      await flushMicrotasks();
+      let timer;
+      while ((timer = nextTimer(target))) {
+        runTimer(timer);
+        await flushMicrotasks();
+      }
+      current = target;
+      return current;
+    },
+
+    // 执行所有定时器（包括执行过程中新注册的），直到没有定时器
+    runAll() {
+      let count = 0;
+      let timer;
+      while ((timer = nextTimer())) {
+        if (++count > MAX_TIMERS) {
+          throw new Error(`Aborting after running ${MAX_TIMERS} timers, assuming an infinite loop`);
+        }
+        runTimer(timer);
+      }
+      return current;
+    },
+
+    async runAllAsync() {
+      let count = 0;
+      await flushMicrotasks();
+      let timer;
+      while ((timer = nextTimer())) {
+        if (++count > MAX_TIMERS) {
+          throw new Error(`Aborting after running ${MAX_TIMERS} timers, assuming an infinite loop`);
+        }
+        runTimer(timer);
+        await flushMicrotasks();
+      }
+      return current;
+    },
+
+    // 清空所有定时器，时间回到 time
+    reset(time = startTime) {
+      timers = new Map();
+      current = time;
+    },
+
+    pendingCount: () => timers.size
+  };
+
+  return clock;
+};
+
+// ===== 使用示例 =====
+
+const fakeClock = createFakeClock();
+const log = [];
+fakeClock.setTimeout(() => log.push(`timeout @${fakeClock.now()}`), 100);
+const intervalId = fakeClock.setInterval(() => log.push(`interval @${fakeClock.now()}`), 40);
+fakeClock.tick(100);
+fakeClock.clearInterval(intervalId);
+console.log(log); // ['interval @40', 'interval @80', 'timeout @100']
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { systemClock, createFakeClock };
+}
@@ -5,23 +5,93 @@
  * 核心思想：参数复用、延迟执行、函数式编程
  */
 
-// 1. 基础版本 - 固定参数个数
-function curry(fn) {
-  return function curried(...args) {
-    // 如果参数个数足够，直接执行
-    if (args.length >= fn.length) {
-      return fn.apply(this, args);
+// 占位符：用 Symbol 保证唯一，真实参数永远不会被误认为占位符
+const PLACEHOLDER = Symbol('curry.placeholder');
+
+// 用新参数依次填充已收集参数中的占位符，剩下的新参数追加到右侧（fromRight 时放到左侧）
+function mergeArgs(collected, nextArgs, fromRight = false) {
+  const merged = collected.slice();
+  let nextIndex = 0;
+  for (let i = 0; i < merged.length && nextIndex < nextArgs.length; i++) {
+    if (merged[i] === PLACEHOLDER) {
+      merged[i] = nextArgs[nextIndex++];
     }
-    
-    // 否则返回新函数，继续收集参数
-    return function(...nextArgs) {
-      return curried.apply(this, args.concat(nextArgs));
-    };
+  }
+  const rest = nextArgs.slice(nextIndex);
+  return fromRight ? rest.concat(merged) : merged.concat(rest);
+}
+
+// 还缺几个参数：未提供的参数 + 未填充的占位符
+function remainingArity(args, arity) {
+  const holes = args.filter(arg => arg === PLACEHOLDER).length;
+  return Math.max(arity - (args.length - holes), holes);
+}
+
+// 让返回的函数 length 反映剩余参数个数，方便再次柯里化或组合时判断
+function withLength(fn, length) {
+  Object.defineProperty(fn, 'length', { value: length, configurable: true });
+  return fn;
+}
+
+function assertArity(fn, arity) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('Expected a function');
+  }
+  if (!Number.isInteger(arity) || arity < 0) {
+    throw new RangeError('Arity must be a non-negative integer');
+  }
+}
+
+function createCurried(fn, arity, args, fromRight) {
+  const curried = function(...nextArgs) {
+    const merged = mergeArgs(args, nextArgs, fromRight);
+    // 参数足够且没有占位符，执行原函数；多余的参数原样传入
+    if (remainingArity(merged, arity) === 0) {
+      return fn.apply(this, merged);
+    }
+    return createCurried(fn, arity, merged, fromRight);
+  };
+  return withLength(curried, remainingArity(args, arity));
+}
+
+// 1. 柯里化 - 支持占位符和指定参数个数
+// curry(fn)(1)(2)(3)、curry(fn)(1, 2)(3)、curry(fn)(_, 2)(1)(3) 结果相同
+function curry(fn, arity = fn.length) {
+  assertArity(fn, arity);
+  return createCurried(fn, arity, [], false);
+}
+
+// 从右往左收集参数：curryRight(fn)(3)(2)(1) 等价于 fn(1, 2, 3)
+function curryRight(fn, arity = fn.length) {
+  assertArity(fn, arity);
+  return createCurried(fn, arity, [], true);
+}
+
+// 偏函数：预设部分参数（可以有占位符），下一次调用直接执行
+function partial(fn, ...presetArgs) {
+  assertArity(fn, 0);
+  const partiallyApplied = function(...args) {
+    return fn.apply(this, mergeArgs(presetArgs, args));
+  };
+  return withLength(partiallyApplied, remainingArity(presetArgs, fn.length));
+}
+
+// 预设参数放在右侧：partialRight(fn, 'b')('a') 等价于 fn('a', 'b')
+function partialRight(fn, ...presetArgs) {
+  assertArity(fn, 0);
+  const partiallyApplied = function(...args) {
+    return fn.apply(this, mergeArgs(presetArgs, args, true));
   };
+  return withLength(partiallyApplied, remainingArity(presetArgs, fn.length));
 }
 
-// 2. 支持占位符的柯里化
-function curryWithPlaceholder(fn, placeholder = '_') {
+curry.placeholder = PLACEHOLDER;
+curryRight.placeholder = PLACEHOLDER;
+partial.placeholder = PLACEHOLDER;
+partialRight.placeholder = PLACEHOLDER;
+
+// 2. 支持占位符的柯里化（默认使用 curry.placeholder，也可以传入自定义占位符）
+function curryWithPlaceholder(fn, placeholder = PLACEHOLDER) {
   return function curried(...args) {
     // 检查是否有足够的有效参数（非占位符）
     const validArgs = args.filter(arg => arg !== placeholder);
@@ -53,6 +123,8 @@ function curryWithPlaceholder(fn, placeholder = '_') {
   };
 }
 
+curryWithPlaceholder.placeholder = PLACEHOLDER;
+
 // 3. 支持任意参数个数的柯里化
 function curryVariadic(fn, arity = fn.length) {
   return function curried(...args) {
@@ -129,6 +201,82 @@ function curryWithDefaults(fn, defaults = {}) {
   };
 }
 
+// 7. 函数组合 - pipe / compose / pipeAsync
+//
+// pipe(f, g, h)(x) 等价于 h(g(f(x)))，compose 方向相反
+// 除了第一个执行的函数，其余函数只能接收一个参数（上一步的返回值）
+// 多参数函数先柯里化或用 partial 固定其他参数，否则组合时直接报错，而不是运行时得到 NaN
+
+function getFunctionName(fn) {
+  return fn.name ? `"${fn.name}"` : 'anonymous function';
+}
+
+// fns 按执行顺序排列，label 和 indexOf 用于报错时指出用户传入的位置
+function assertComposable(fns, label, indexOf = i => i) {
+  fns.forEach((fn, i) => {
+    if (typeof fn !== 'function') {
+      throw new TypeError(`${label}: argument at index ${indexOf(i)} is not a function`);
+    }
+    if (i > 0 && fn.length > 1) {
+      throw new TypeError(
+        `${label}: ${getFunctionName(fn)} at index ${indexOf(i)} expects ${fn.length} arguments but will receive 1; ` +
+        'curry it or fix the other arguments with partial()'
+      );
+    }
+  });
+}
+
+function pipe(...fns) {
+  assertComposable(fns, 'pipe');
+  if (fns.length === 0) {
+    return x => x;
+  }
+  const [first, ...rest] = fns;
+  const piped = function(...args) {
+    return rest.reduce((value, fn) => fn.call(this, value), first.apply(this, args));
+  };
+  return withLength(piped, first.length);
+}
+
+function compose(...fns) {
+  const ordered = fns.slice().reverse();
+  assertComposable(ordered, 'compose', i => fns.length - 1 - i);
+  return pipe(...ordered);
+}
+
+// 每一步都等待上一步完成，步骤可以是同步函数也可以返回 promise
+function pipeAsync(...fns) {
+  assertComposable(fns, 'pipeAsync');
+  if (fns.length === 0) {
+    return async x => x;
+  }
+  const [first, ...rest] = fns;
+  const piped = async function(...args) {
+    let value = await first.apply(this, args);
+    for (const fn of rest) {
+      value = await fn.call(this, value);
+    }
+    return value;
+  };
+  return withLength(piped, first.length);
+}
+
+// 执行副作用后原样返回输入，用于在管道中间插入日志、埋点
+function tap(fn) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('tap: expected a function');
+  }
+  return function(value) {
+    fn.call(this, value);
+    return value;
+  };
+}
+
+// 调试用：打印管道中间值
+function trace(label, logger = console.log) {
+  return tap(value => logger(`${label}:`, value));
+}
+
 // 测试用例
 console.log('=== 柯里化函数测试 ===\n');
 
@@ -150,9 +298,22 @@ console.log('curriedAdd(1)(2, 3, 4):', curriedAdd(1)(2, 3, 4)); // 10
 
 // 2. 占位符测试
 console.log('\n2. 占位符柯里化测试：');
+const _ = curry.placeholder;
 const curriedMul = curryWithPlaceholder(multiply);
-console.log('curriedMul(2, _, 4)(3):', curriedMul(2, '_', 4)(3)); // 24
-console.log('curriedMul(_, 3, _)(2)(4):', curriedMul('_', 3, '_')(2)(4)); // 24
+console.log('curriedMul(2, _, 4)(3):', curriedMul(2, _, 4)(3)); // 24
+console.log('curriedMul(_, 3, _)(2)(4):', curriedMul(_, 3, _)(2)(4)); // 24
+
+const join3 = curry((a, b, c) => [a, b, c].join(''));
+console.log("真实的 '_' 参数:", join3('_')(_, 'c')('b')); // _bc
+console.log('剩余参数个数 length:', join3.length, join3('a').length, join3(_, 'b').length); // 3 2 2
+
+// curryRight / partial / partialRight / 指定参数个数
+const divide = (a, b) => a / b;
+console.log('curryRight(divide)(2)(10):', curryRight(divide)(2)(10)); // 5
+console.log('partial(divide, _, 4)(20):', partial(divide, _, 4)(20)); // 5
+console.log('partialRight(divide, 4)(20):', partialRight(divide, 4)(20)); // 5
+const sumAll = (...nums) => nums.reduce((a, b) => a + b, 0);
+console.log('curry(sumAll, 3)(1)(2)(3):', curry(sumAll, 3)(1)(2)(3)); // 6（rest 参数的 length 为 0，需要指定）
 
 // 3. 任意参数个数测试
 console.log('\n3. 任意参数个数测试：');
@@ -207,6 +368,8 @@ function map(transform, array) {
 
 const curriedFilter = curry(filter);
 const curriedMap = curry(map);
+// 数据放在最后一个参数，柯里化后得到只差数据的一元函数（length 为 1），可以直接组合
+console.log('point-free 函数的 length:', curriedFilter(x => x).length); // 1
 
 const isEven = x => x % 2 === 0;
 const double = x => x * 2;
@@ -220,6 +383,21 @@ console.log('原数组:', numbers);
 console.log('过滤偶数:', filterEvens(numbers));
 console.log('双倍值:', doubleValues(filterEvens(numbers)));
 
+// 函数组合：用 pipe 代替嵌套调用
+const doubleEvens = pipe(filterEvens, trace('过滤后'), doubleValues);
+console.log('pipe:', doubleEvens(numbers)); // [4, 8, 12]
+console.log('compose:', compose(doubleValues, filterEvens)(numbers)); // [4, 8, 12]
+
+try {
+  pipe(filterEvens, map); // map 需要两个参数
+} catch (e) {
+  console.log('组合多参数函数:', e.message);
+}
+
+const fetchUser = id => new Promise(resolve => setTimeout(() => resolve({ id, name: 'Tom' }), 10));
+pipeAsync(fetchUser, user => user.name, name => name.toUpperCase())(1)
+  .then(name => console.log('pipeAsync:', name)); // TOM
+
 // 性能对比
 console.log('\n=== 性能测试 ===');
 function performanceTest() {
@@ -253,3 +431,22 @@ console.log('\n缺点：');
 console.log('1. 性能开销 - 创建额外的闭包');
 console.log('2. 调试困难 - 嵌套函数难以追踪');
 console.log('3. 内存占用 - 保存中间状态');
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    curry,
+    curryRight,
+    partial,
+    partialRight,
+    curryWithPlaceholder,
+    curryVariadic,
+    curryAdvanced,
+    curryInfinite,
+    curryWithDefaults,
+    pipe,
+    compose,
+    pipeAsync,
+    tap,
+    trace
+  };
+}
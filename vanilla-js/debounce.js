@@ -2,76 +2,298 @@
  * 手写 debounce 防抖函数 - 现代简化版
  * 
  * 核心原理：延迟执行，频繁触发时重新计时
- * - 立即模式：wait 开始时执行
- * - 延迟模式：wait 结束时执行  
+ * - leading：wait 开始时执行
+ * - trailing：wait 结束时执行（两者都开启时，wait 内只调用一次则只在开始时执行）
  * - 中间调用会不断推迟 wait 时间
  * 
+ * 依赖 clock.js（systemClock），浏览器中需先引入 clock.js
+ * 
  * @param {Function} fn 要防抖的函数
  * @param {Object} options 配置选项
  * @param {number} options.wait 延迟时间，默认 500ms
- * @param {boolean} options.immediate 是否立即执行，默认 false
+ * @param {boolean} options.immediate 是否立即执行，默认 false，等价于 { leading: true, trailing: false }
+ * @param {boolean} options.leading 是否在开始时执行，默认同 immediate
+ * @param {boolean} options.trailing 是否在结束时执行，默认与 immediate 相反
+ * @param {Object} options.clock 时钟，默认 systemClock，测试时可注入 createFakeClock()
  * @returns {Function} 防抖后的函数
  */
 const debounce = (fn, options = {}) => {
-  const { wait = 500, immediate = false } = options;
+  const {
+    wait = 500,
+    immediate = false,
+    clock = typeof systemClock !== 'undefined' ? systemClock : require('./clock.js').systemClock
+  } = options;
+  const { leading = immediate, trailing = !immediate } = options;
   let timer = null;
+  let lastArgs = null; // 等待 trailing 执行的参数
+  let lastThis = null;
   
   // 返回的函数必须用 function，保持 this 绑定
   return function(...args) {
-    const callNow = immediate && !timer;
+    const callNow = leading && !timer;
     
     // 核心：每次调用都重置等待时间
-    clearTimeout(timer);
+    clock.clearTimeout(timer);
+    
+    // 开始时已执行的调用，不需要在结束时再执行一次
+    lastArgs = callNow ? null : args;
+    lastThis = this;
     
-    timer = setTimeout(() => {
+    timer = clock.setTimeout(() => {
       timer = null;
-      // 延迟模式：wait 结束时执行
-      if (!immediate) {
-        fn.apply(this, args);
+      // trailing：wait 结束时用最后一次的参数执行
+      if (trailing && lastArgs) {
+        fn.apply(lastThis, lastArgs);
       }
+      lastArgs = lastThis = null;
     }, wait);
     
-    // 立即模式：wait 开始时执行
+    // leading：wait 开始时执行
     if (callNow) {
       return fn.apply(this, args);
     }
   };
 };
 
-// 带取消功能的防抖 - 增强版
+/**
+ * 带取消功能的防抖 - 增强版（对齐 lodash.debounce）
+ * 
+ * - maxWait：持续触发时，最多等待 maxWait 必定执行一次
+ * - cancel()：取消等待中的调用
+ * - flush()：立即执行等待中的调用（使用最后一次的参数），没有等待中的调用时返回上次结果
+ * - pending()：是否有等待中的调用
+ * - 返回值：返回最近一次执行的结果（trailing 执行的结果也会保留）
+ * 
+ * @param {Function} fn 要防抖的函数
+ * @param {Object} options 配置选项
+ * @param {number} options.wait 延迟时间，默认 500ms
+ * @param {boolean} options.immediate 是否立即执行，默认 false，等价于 { leading: true, trailing: false }
+ * @param {boolean} options.leading 是否在开始时执行，默认同 immediate
+ * @param {boolean} options.trailing 是否在结束时执行，默认与 immediate 相反
+ * @param {number} options.maxWait 最大等待时间，不小于 wait，默认不限制
+ * @param {Object} options.clock 时钟，默认 systemClock，测试时可注入 createFakeClock()
+ * @returns {Function} 防抖后的函数
+ */
 const debounceWithCancel = (fn, options = {}) => {
-  const { wait = 500, immediate = false } = options;
+  const {
+    wait = 500,
+    immediate = false,
+    clock = typeof systemClock !== 'undefined' ? systemClock : require('./clock.js').systemClock
+  } = options;
+  const { leading = immediate, trailing = !immediate } = options;
+  const maxWait = options.maxWait === undefined ? undefined : Math.max(options.maxWait, wait);
   let timer = null;
+  let lastArgs = null; // 等待执行的参数
+  let lastThis = null;
+  let result; // 最近一次执行的结果
+  let lastCallTime; // 最近一次调用的时间
+  let lastInvokeTime = 0; // 最近一次执行的时间
+  
+  const invoke = (time) => {
+    const args = lastArgs;
+    const context = lastThis;
+    lastArgs = lastThis = null;
+    lastInvokeTime = time;
+    result = fn.apply(context, args);
+    return result;
+  };
+  
+  // 距离下次应该执行还剩多久：取 wait 和 maxWait 中先到的
+  const remainingWait = (time) => {
+    const waitRemaining = wait - (time - lastCallTime);
+    return maxWait === undefined
+      ? waitRemaining
+      : Math.min(waitRemaining, maxWait - (time - lastInvokeTime));
+  };
+  
+  const shouldInvoke = (time) => {
+    if (lastCallTime === undefined) return true; // 第一次调用
+    const sinceLastCall = time - lastCallTime;
+    return sinceLastCall >= wait // 已经静默了 wait
+      || sinceLastCall < 0 // 系统时间被调整
+      || (maxWait !== undefined && time - lastInvokeTime >= maxWait); // 到达 maxWait
+  };
+  
+  const trailingEdge = (time) => {
+    timer = null;
+    // 只有 leading 执行过的调用，不需要在结束时再执行
+    if (trailing && lastArgs) {
+      return invoke(time);
+    }
+    lastArgs = lastThis = null;
+    return result;
+  };
+  
+  const timerExpired = () => {
+    const time = clock.now();
+    if (shouldInvoke(time)) {
+      trailingEdge(time);
+      return;
+    }
+    // 期间又有调用，继续等待剩余时间
+    timer = clock.setTimeout(timerExpired, remainingWait(time));
+  };
+  
+  const leadingEdge = (time) => {
+    lastInvokeTime = time; // maxWait 从这一轮开始计时
+    timer = clock.setTimeout(timerExpired, wait);
+    return leading ? invoke(time) : result;
+  };
   
   const debounced = function(...args) {
-    const callNow = immediate && !timer;
+    const time = clock.now();
+    const isInvoking = shouldInvoke(time);
     
-    clearTimeout(timer);
-    timer = setTimeout(() => {
-      timer = null;
-      if (!immediate) {
-        fn.apply(this, args);
-      }
-    }, wait);
+    lastArgs = args;
+    lastThis = this;
+    lastCallTime = time;
     
-    if (callNow) {
-      return fn.apply(this, args);
+    if (isInvoking) {
+      // 新一轮开始
+      if (timer === null) {
+        return leadingEdge(time);
+      }
+      // 持续触发达到 maxWait，立即执行并开始新的等待
+      if (maxWait !== undefined) {
+        clock.clearTimeout(timer);
+        timer = clock.setTimeout(timerExpired, wait);
+        return invoke(time);
+      }
     }
+    if (timer === null) {
+      timer = clock.setTimeout(timerExpired, wait);
+    }
+    return result;
   };
   
   // 取消防抖
   debounced.cancel = () => {
-    clearTimeout(timer);
+    clock.clearTimeout(timer);
     timer = null;
+    lastInvokeTime = 0;
+    lastArgs = lastThis = lastCallTime = undefined;
+  };
+  
+  // 立即执行等待中的调用
+  debounced.flush = () => {
+    if (timer === null) return result;
+    clock.clearTimeout(timer);
+    return trailingEdge(clock.now());
   };
   
-  // 立即执行（跳过防抖）
-  debounced.flush = function(...args) {
-    clearTimeout(timer);
+  // 是否有等待中的调用
+  debounced.pending = () => timer !== null;
+  
+  return debounced;
+};
+
+/**
+ * 异步防抖 - 返回 promise
+ * 
+ * 核心原理：同一轮（burst）内的所有调用共享一次执行结果
+ * - 每次调用都返回 promise，wait 结束后用最后一次的参数执行 fn
+ * - 这一轮的所有调用都以这次执行的结果完成（成功或失败）
+ * - 新一轮开始时，上一轮还在执行的调用通过 AbortSignal 中止，对应的 promise 以 AbortError 失败，
+ *   避免旧请求晚返回覆盖新结果
+ * 
+ * @param {Function} fn 异步函数，最后一个参数是 AbortSignal：(...args, signal) => promise
+ * @param {Object} options 配置选项
+ * @param {number} options.wait 延迟时间，默认 500ms
+ * @param {Object} options.clock 时钟，默认 systemClock，测试时可注入 createFakeClock()
+ * @returns {Function} 防抖后的函数，返回 promise
+ */
+const asyncDebounce = (fn, options = {}) => {
+  const {
+    wait = 500,
+    clock = typeof systemClock !== 'undefined' ? systemClock : require('./clock.js').systemClock
+  } = options;
+  let timer = null;
+  let callers = null; // 当前这一轮等待结果的调用 [{ resolve, reject }]
+  let lastArgs = null;
+  let lastThis = null;
+  let controller = null; // 执行中那一轮的中止控制器
+  
+  const createAbortError = () => {
+    if (typeof DOMException === 'function') {
+      return new DOMException('The operation was aborted', 'AbortError');
+    }
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+  };
+  
+  // 中止执行中的那一轮
+  const abortRunning = () => {
+    if (controller) {
+      controller.abort();
+      controller = null;
+    }
+  };
+  
+  const run = () => {
     timer = null;
-    return fn.apply(this, args);
+    const current = callers;
+    const args = lastArgs;
+    const context = lastThis;
+    callers = lastArgs = lastThis = null;
+    
+    const ctrl = new AbortController();
+    const { signal } = ctrl;
+    controller = ctrl;
+    
+    // 被中止时立即让这一轮失败，不等 fn 自己响应 signal
+    const settle = (method, value) => current.forEach((caller) => caller[method](value));
+    signal.addEventListener('abort', () => {
+      settle('reject', signal.reason || createAbortError());
+    }, { once: true });
+    
+    new Promise((resolve) => resolve(fn.apply(context, [...args, signal])))
+      .then((value) => settle('resolve', value), (error) => settle('reject', error))
+      .finally(() => {
+        if (controller === ctrl) {
+          controller = null;
+        }
+      });
   };
   
+  const debounced = function(...args) {
+    return new Promise((resolve, reject) => {
+      // 新一轮开始，上一轮的结果已经过时
+      if (!callers) {
+        abortRunning();
+        callers = [];
+      }
+      callers.push({ resolve, reject });
+      lastArgs = args;
+      lastThis = this;
+      
+      clock.clearTimeout(timer);
+      timer = clock.setTimeout(run, wait);
+    });
+  };
+  
+  // 取消等待中和执行中的调用，对应的 promise 以 AbortError 失败
+  debounced.cancel = () => {
+    clock.clearTimeout(timer);
+    timer = null;
+    if (callers) {
+      const error = createAbortError();
+      callers.forEach((caller) => caller.reject(error));
+    }
+    callers = lastArgs = lastThis = null;
+    abortRunning();
+  };
+  
+  // 立即执行等待中的调用
+  debounced.flush = () => {
+    if (timer === null) return;
+    clock.clearTimeout(timer);
+    run();
+  };
+  
+  // 是否有等待中的调用
+  debounced.pending = () => timer !== null;
+  
   return debounced;
 };
 
@@ -97,4 +319,25 @@ submitBtn?.addEventListener('click', debounce(handleSubmit, { wait: 1000, immedi
 const handleResize = function() {
   console.log('重新计算布局');
 };
-window.addEventListener('resize', debounce(handleResize, { wait: 100 }));
\ No newline at end of file
+window.addEventListener('resize', debounce(handleResize, { wait: 100 }));
+
+// 连续输入时保证最多 1 秒更新一次预览
+const handlePreview = function(e) {
+  console.log('更新预览:', e.target.value);
+};
+const debouncedPreview = debounceWithCancel(handlePreview, { wait: 300, maxWait: 1000 });
+searchInput?.addEventListener('input', debouncedPreview);
+// 失焦时立即执行等待中的更新
+searchInput?.addEventListener('blur', () => debouncedPreview.flush());
+
+// 搜索建议：同一轮输入的调用都拿到同一个结果，旧请求会被中止
+const fetchSuggestions = asyncDebounce((keyword, signal) => {
+  return fetch(`/api/suggest?q=${encodeURIComponent(keyword)}`, { signal }).then((res) => res.json());
+}, { wait: 300 });
+searchInput?.addEventListener('input', (e) => {
+  fetchSuggestions(e.target.value)
+    .then((list) => console.log('搜索建议:', list))
+    .catch((error) => {
+      if (error.name !== 'AbortError') console.error(error);
+    });
+});
\ No newline at end of file
@@ -137,6 +137,518 @@ function advancedDeepClone(source, map = new WeakMap()) {
   return result;
 }
 
+// 4. 结构化克隆（对齐 HTML structured clone 算法）
+// 无法克隆的值（函数、Symbol、DOM 节点、WeakMap 等）抛出 DataCloneError
+class DataCloneError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DataCloneError';
+  }
+}
+
+// 结构化克隆支持的原生错误类型，其他错误的 name 会变成 'Error'
+const CLONEABLE_ERROR_NAMES = ['Error', 'EvalError', 'RangeError', 'ReferenceError', 'SyntaxError', 'TypeError', 'URIError'];
+
+// 明确不能克隆的对象类型
+const UNCLONEABLE_TYPES = ['WeakMap', 'WeakSet', 'WeakRef', 'Promise', 'Symbol'];
+
+// 类型判断用品牌检查：借用内置方法访问内部插槽，调用不抛错才是真的
+// Object.prototype.toString 能被 Symbol.toStringTag 伪造，伪造的对象应按普通对象克隆（与 structuredClone 一致）
+const slotCheck = (fn) => (value) => {
+  try {
+    fn(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+const ownGetter = (proto, key) => Object.getOwnPropertyDescriptor(proto, key).get;
+const typedArrayName = ownGetter(Object.getPrototypeOf(Int8Array.prototype), Symbol.toStringTag);
+
+const CLONE_BRANDS = [
+  ['Array', Array.isArray],
+  ['Boolean', slotCheck((value) => Boolean.prototype.valueOf.call(value))],
+  ['Number', slotCheck((value) => Number.prototype.valueOf.call(value))],
+  ['String', slotCheck((value) => String.prototype.valueOf.call(value))],
+  ['BigInt', slotCheck((value) => BigInt.prototype.valueOf.call(value))],
+  ['Symbol', slotCheck((value) => Symbol.prototype.valueOf.call(value))],
+  ['Date', slotCheck((value) => Date.prototype.getTime.call(value))],
+  // RegExp.prototype 本身调用 global getter 返回 undefined，不算正则
+  ['RegExp', (value) => {
+    try {
+      return ownGetter(RegExp.prototype, 'global').call(value) !== undefined;
+    } catch (e) {
+      return false;
+    }
+  }],
+  ['ArrayBuffer', slotCheck((value) => ownGetter(ArrayBuffer.prototype, 'byteLength').call(value))],
+  ['DataView', slotCheck((value) => ownGetter(DataView.prototype, 'byteLength').call(value))],
+  ['TypedArray', (value) => typedArrayName.call(value) !== undefined],
+  ['Map', slotCheck((value) => ownGetter(Map.prototype, 'size').call(value))],
+  ['Set', slotCheck((value) => ownGetter(Set.prototype, 'size').call(value))],
+  ['WeakMap', slotCheck((value) => WeakMap.prototype.has.call(value, {}))],
+  ['WeakSet', slotCheck((value) => WeakSet.prototype.has.call(value, {}))],
+  ['WeakRef', (value) => typeof WeakRef === 'function' && slotCheck((v) => WeakRef.prototype.deref.call(v))(value)],
+  ['File', (value) => typeof File === 'function' && slotCheck((v) => ownGetter(File.prototype, 'name').call(v))(value)],
+  ['Blob', (value) => typeof Blob === 'function' && slotCheck((v) => ownGetter(Blob.prototype, 'size').call(v))(value)],
+  // Promise 没有无副作用的插槽访问方式，只能用 instanceof（另一个 realm 的 Promise 会按普通对象克隆）
+  ['Promise', (value) => value instanceof Promise],
+  // Error.isError 是新提案；不支持时，没有 Symbol.toStringTag 的 [object Error] 来自 [[ErrorData]] 插槽
+  ['Error', (value) => typeof Error.isError === 'function'
+    ? Error.isError(value)
+    : !(Symbol.toStringTag in value) && Object.prototype.toString.call(value) === '[object Error]']
+];
+
+const getCloneType = (value) => {
+  const brand = CLONE_BRANDS.find(([, check]) => check(value));
+  return brand ? brand[0] : 'Object';
+};
+
+/**
+ * 结构化克隆
+ * 
+ * 默认模式与 structuredClone 一致：
+ * - 支持 Date、RegExp、Map、Set、ArrayBuffer、TypedArray、DataView、Error、Blob、File、包装对象
+ * - 普通对象和类实例只拷贝自身可枚举的字符串属性，原型丢失（变成普通对象）
+ * - 同一个 ArrayBuffer 上的多个视图克隆后仍共享同一个新 ArrayBuffer
+ * - 按内部插槽判断类型，伪造 Symbol.toStringTag 的对象按普通对象克隆
+ * - Map、Set 只拷贝条目，不拷贝自身的其他属性
+ * 
+ * preservePrototype 模式（非标准，按需开启）：
+ * - 保留原型链，类实例克隆后仍是该类的实例（包括 Error 子类）
+ * - 保留属性描述符：getter/setter、不可枚举、只读属性，以及 Symbol 属性
+ * - 保留冻结（freeze）、密封（seal）、不可扩展状态
+ * 
+ * @param {*} source 要克隆的值
+ * @param {Object} options 配置选项
+ * @param {boolean} options.preservePrototype 是否保留原型和属性描述符，默认 false
+ * @returns {*} 克隆结果
+ */
+function structuredDeepClone(source, options = {}) {
+  const { preservePrototype = false } = options;
+  const map = new WeakMap();
+  
+  const clone = (value) => {
+    if (typeof value === 'symbol') {
+      throw new DataCloneError(`${String(value)} could not be cloned.`);
+    }
+    if (typeof value === 'function') {
+      throw new DataCloneError(`${value.name || 'anonymous'}() could not be cloned.`);
+    }
+    if (typeof value !== 'object' || value === null) {
+      return value;
+    }
+    if (map.has(value)) {
+      return map.get(value);
+    }
+    
+    const type = getCloneType(value);
+    if (UNCLONEABLE_TYPES.includes(type) || (typeof Node === 'function' && value instanceof Node)) {
+      throw new DataCloneError(`#<${type}> could not be cloned.`);
+    }
+    
+    // 不可变或二进制类型，克隆完直接返回，不需要处理属性
+    const result = cloneLeaf(value, type);
+    if (result !== undefined) {
+      map.set(value, result);
+      return result;
+    }
+    
+    return cloneContainer(value, type);
+  };
+  
+  const cloneLeaf = (value, type) => {
+    switch (type) {
+      case 'Boolean':
+        return Object(Boolean.prototype.valueOf.call(value));
+      case 'Number':
+        return Object(Number.prototype.valueOf.call(value));
+      case 'String':
+        return Object(String.prototype.valueOf.call(value));
+      case 'BigInt':
+        return Object(BigInt.prototype.valueOf.call(value));
+      case 'Date':
+        return new Date(Date.prototype.getTime.call(value));
+      case 'RegExp':
+        // 与规范一致：lastIndex 不保留
+        return new RegExp(value.source, value.flags);
+      case 'ArrayBuffer':
+        return value.slice(0);
+      case 'DataView':
+        return new DataView(clone(value.buffer), value.byteOffset, value.byteLength);
+      case 'TypedArray': {
+        // 克隆底层 buffer，保持偏移和长度；构造函数按内部类型名取，不信任 value.constructor
+        const TypedArray = globalThis[typedArrayName.call(value)];
+        return new TypedArray(clone(value.buffer), value.byteOffset, value.length);
+      }
+      case 'Blob':
+        return value.slice(0, value.size, value.type);
+      case 'File':
+        return new File([value], value.name, { type: value.type, lastModified: value.lastModified });
+    }
+    if (type === 'Error') {
+      const name = CLONEABLE_ERROR_NAMES.includes(value.name) ? value.name : 'Error';
+      const ErrorCtor = globalThis[name];
+      const error = new ErrorCtor(value.message);
+      if (preservePrototype) {
+        // 保留子类原型，如 class ValidationError extends TypeError
+        Object.setPrototypeOf(error, Object.getPrototypeOf(value));
+      }
+      map.set(value, error);
+      if (preservePrototype) {
+        // 与其他对象一样按描述符拷贝自身属性，stack、cause 以及 code 等自定义字段都会保留
+        copyDescriptors(value, error);
+        return error;
+      }
+      error.stack = value.stack;
+      if ('cause' in value) {
+        error.cause = clone(value.cause);
+      }
+      return error;
+    }
+    return undefined;
+  };
+  
+  const cloneContainer = (value, type) => {
+    let result;
+    if (type === 'Array') {
+      result = new Array(value.length);
+    } else if (type === 'Map') {
+      result = new Map();
+    } else if (type === 'Set') {
+      result = new Set();
+    } else {
+      result = {};
+    }
+    if (preservePrototype) {
+      Object.setPrototypeOf(result, Object.getPrototypeOf(value));
+    }
+    map.set(value, result); // 先设置映射，防止循环引用
+    
+    if (type === 'Map') {
+      Map.prototype.forEach.call(value, (v, k) => result.set(clone(k), clone(v)));
+    } else if (type === 'Set') {
+      Set.prototype.forEach.call(value, (v) => result.add(clone(v)));
+    }
+    
+    if (preservePrototype) {
+      copyDescriptors(value, result);
+    } else if (type !== 'Map' && type !== 'Set') {
+      // 只拷贝自身可枚举的字符串属性，getter 会被求值
+      Object.keys(value).forEach((key) => {
+        result[key] = clone(value[key]);
+      });
+    }
+    return result;
+  };
+  
+  const copyDescriptors = (value, result) => {
+    Reflect.ownKeys(value).forEach((key) => {
+      // 数组的 length 由构造时确定，不能重新定义
+      if (Array.isArray(result) && key === 'length') return;
+      const descriptor = Object.getOwnPropertyDescriptor(value, key);
+      if ('value' in descriptor) {
+        descriptor.value = clone(descriptor.value);
+      }
+      // getter/setter 是函数，原样保留
+      Object.defineProperty(result, key, descriptor);
+    });
+    
+    if (Object.isFrozen(value)) {
+      Object.freeze(result);
+    } else if (Object.isSealed(value)) {
+      Object.seal(result);
+    } else if (!Object.isExtensible(value)) {
+      Object.preventExtensions(result);
+    }
+  };
+  
+  return clone(source);
+}
+
+// 5. 迭代版深拷贝（不爆栈）
+// 递归版每深一层占一个调用栈帧，深层嵌套（如 10 万个节点的链表）会栈溢出
+// 这里用显式栈代替调用栈，支持的类型与 advancedDeepClone 相同
+
+// 创建克隆目标：容器类型返回空容器，等待后续填充
+function createCloneTarget(source) {
+  switch (Object.prototype.toString.call(source)) {
+    case '[object Date]':
+      return new Date(source);
+    case '[object RegExp]':
+      return new RegExp(source);
+    case '[object Array]':
+      return [];
+    case '[object Set]':
+      return new Set();
+    case '[object Map]':
+      return new Map();
+    case '[object Object]':
+      return {};
+    default:
+      return source; // 其他类型直接返回
+  }
+}
+
+/**
+ * 克隆步骤生成器：每处理完一个容器 yield 一次，最终 return 克隆结果
+ * 同步版一口气跑完，异步版按时间片分段跑
+ */
+function* iterativeCloneSteps(source) {
+  if (typeof source !== 'object' || source === null) {
+    return source;
+  }
+  
+  const map = new WeakMap();
+  const stack = [];
+  
+  // 克隆子节点：基本类型直接返回，容器先创建空目标再入栈等待填充
+  const cloneChild = (value) => {
+    if (typeof value !== 'object' || value === null) {
+      return value;
+    }
+    if (map.has(value)) {
+      return map.get(value); // 循环引用
+    }
+    const target = createCloneTarget(value);
+    map.set(value, target);
+    if (target !== value) {
+      stack.push([value, target]);
+    }
+    return target;
+  };
+  
+  const root = cloneChild(source);
+  
+  while (stack.length) {
+    const [current, target] = stack.pop();
+    
+    if (Array.isArray(current)) {
+      for (let i = 0; i < current.length; i++) {
+        target[i] = cloneChild(current[i]);
+      }
+    } else if (current instanceof Set) {
+      current.forEach(value => target.add(cloneChild(value)));
+    } else if (current instanceof Map) {
+      current.forEach((value, key) => target.set(cloneChild(key), cloneChild(value)));
+    } else if (Object.prototype.toString.call(current) === '[object Object]') {
+      Reflect.ownKeys(current).forEach(key => {
+        target[key] = cloneChild(current[key]);
+      });
+    }
+    
+    yield;
+  }
+  
+  return root;
+}
+
+function iterativeDeepClone(source) {
+  const steps = iterativeCloneSteps(source);
+  let step = steps.next();
+  while (!step.done) {
+    step = steps.next();
+  }
+  return step.value;
+}
+
+/**
+ * 时间分片版深拷贝：每执行 timeSlice 毫秒让出一次事件循环，克隆超大对象时页面不卡顿
+ * 
+ * @param {*} source 要克隆的值
+ * @param {Object} options 配置选项
+ * @param {number} options.timeSlice 每个时间片的时长，默认 8ms（留出一帧中的渲染时间）
+ * @param {AbortSignal} options.signal 中止信号
+ * @returns {Promise} 克隆结果
+ */
+function deepCloneAsync(source, options = {}) {
+  const { timeSlice = 8, signal } = options;
+  const steps = iterativeCloneSteps(source);
+  
+  return new Promise((resolve, reject) => {
+    const work = () => {
+      if (signal && signal.aborted) {
+        return reject(signal.reason);
+      }
+      const deadline = Date.now() + timeSlice;
+      try {
+        let step = steps.next();
+        while (!step.done) {
+          // 时间片用完，让出事件循环，下一个宏任务继续
+          if (Date.now() >= deadline) {
+            setTimeout(work, 0);
+            return;
+          }
+          step = steps.next();
+        }
+        resolve(step.value);
+      } catch (e) {
+        reject(e);
+      }
+    };
+    work();
+  });
+}
+
+// 6. 可定制的深拷贝
+// 全局注册的类型处理器：构造函数 -> (value, context) => 克隆结果
+const cloneHandlers = new Map();
+
+/**
+ * 注册类型处理器，该类及其子类的实例都会交给 handler 克隆
+ * @param {Function} Ctor 构造函数
+ * @param {Function} handler (value, context) => 克隆结果，context: { clone, register, path, depth }
+ *   对象可能引用自身时，先创建结果并调用 context.register(result)，再克隆子属性
+ */
+function registerCloneHandler(Ctor, handler) {
+  cloneHandlers.set(Ctor, handler);
+}
+
+/**
+ * 创建可定制的深拷贝函数
+ * 
+ * @param {Object} options 配置选项
+ * @param {Map} options.handlers 本次使用的类型处理器，优先于全局注册的
+ * @param {Function} options.filter (key, value, path) => boolean，返回 false 的属性不拷贝
+ *   Map 条目传入原始的键，Set 条目以遍历序号作为 key
+ * @param {Function} options.transform (key, value, path) => newValue，拷贝前替换属性值
+ * @param {number} options.maxDepth 最大深拷贝层数，超过的层级只做浅拷贝，默认不限制
+ * @param {Function} options.onCircular (value, path) => void，每次遇到循环引用（引用了正在拷贝的祖先）时调用
+ *   同一个对象被多处共享引用不算循环，只复用第一次的拷贝结果
+ * @returns {Function} clone(source)
+ */
+function createDeepClone(options = {}) {
+  const {
+    handlers = new Map(),
+    filter = () => true,
+    transform = (key, value) => value,
+    maxDepth = Infinity,
+    onCircular = () => {}
+  } = options;
+  
+  // 沿原型链查找处理器，子类实例也能命中父类的处理器
+  const findHandler = (value) => {
+    let proto = Object.getPrototypeOf(value);
+    while (proto) {
+      const Ctor = proto.constructor;
+      if (handlers.has(Ctor)) return handlers.get(Ctor);
+      if (cloneHandlers.has(Ctor)) return cloneHandlers.get(Ctor);
+      proto = Object.getPrototypeOf(proto);
+    }
+    return null;
+  };
+  
+  // 超过 maxDepth 时的浅拷贝
+  const shallowCopy = (value) => {
+    if (Array.isArray(value)) return value.slice();
+    if (value instanceof Map) return new Map(value);
+    if (value instanceof Set) return new Set(value);
+    if (value instanceof Date) return new Date(value);
+    if (value instanceof RegExp) return new RegExp(value);
+    return Object.assign(Object.create(Object.getPrototypeOf(value)), value);
+  };
+  
+  // map：原对象 -> 拷贝结果；ancestors：正在拷贝的祖先，只有引用了祖先才是循环引用
+  const clone = (value, path, depth, map, ancestors) => {
+    if (typeof value !== 'object' || value === null) {
+      return value;
+    }
+    
+    if (ancestors.has(value)) {
+      if (!map.has(value)) {
+        throw new TypeError(`Circular reference at "${path.join('.')}": the clone handler must call context.register(result) before cloning children`);
+      }
+      onCircular(value, path);
+      return map.get(value);
+    }
+    if (map.has(value)) {
+      return map.get(value);
+    }
+    
+    ancestors.add(value);
+    try {
+      return cloneObject(value, path, depth, map, ancestors);
+    } finally {
+      ancestors.delete(value);
+    }
+  };
+  
+  const cloneObject = (value, path, depth, map, ancestors) => {
+    const handler = findHandler(value);
+    if (handler) {
+      const result = handler(value, {
+        clone: (child, key) => clone(child, key === undefined ? path : [...path, key], depth + 1, map, ancestors),
+        register: (registered) => {
+          map.set(value, registered);
+          return registered;
+        },
+        path,
+        depth
+      });
+      map.set(value, result);
+      return result;
+    }
+    
+    if (depth >= maxDepth) {
+      return shallowCopy(value);
+    }
+    
+    // 拷贝单个属性：先过滤，再转换，最后递归
+    const cloneProperty = (key, child) => {
+      const childPath = [...path, key];
+      return clone(transform(key, child, childPath), childPath, depth + 1, map, ancestors);
+    };
+    
+    if (value instanceof Date) {
+      return new Date(value);
+    }
+    if (value instanceof RegExp) {
+      return new RegExp(value);
+    }
+    
+    if (value instanceof Map) {
+      const result = new Map();
+      map.set(value, result);
+      value.forEach((child, key) => {
+        if (filter(key, child, [...path, key])) {
+          // 对象键也要深拷贝，与其他拷贝函数一致，拷贝结果不与原 Map 共享键
+          const clonedKey = clone(key, [...path, key], depth + 1, map, ancestors);
+          result.set(clonedKey, cloneProperty(key, child));
+        }
+      });
+      return result;
+    }
+    
+    if (value instanceof Set) {
+      const result = new Set();
+      map.set(value, result);
+      let index = 0;
+      value.forEach((child) => {
+        // Set 没有键，以遍历序号作为 filter、transform 的 key
+        const key = index++;
+        if (filter(key, child, [...path, key])) {
+          result.add(cloneProperty(key, child));
+        }
+      });
+      return result;
+    }
+    
+    // 数组和对象（保留原型，类实例克隆后仍是该类的实例）
+    const result = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+    map.set(value, result); // 先设置映射，防止循环引用
+    Reflect.ownKeys(value).forEach((key) => {
+      if (Array.isArray(value) && key === 'length') return;
+      if (!Object.prototype.propertyIsEnumerable.call(value, key)) return;
+      if (filter(key, value[key], [...path, key])) {
+        result[key] = cloneProperty(key, value[key]);
+      }
+    });
+    return result;
+  };
+  
+  return (source) => clone(source, [], 0, new WeakMap(), new Set());
+}
+
 // 测试用例
 console.log('=== 深拷贝测试 ===');
 
@@ -167,3 +679,116 @@ let complex = {
 
 let complex1 = advancedDeepClone(complex);
 console.log('复杂对象测试:', complex1);
+
+// 深层嵌套测试：递归版会栈溢出
+let linkedList = { value: 0, next: null };
+let tail = linkedList;
+for (let i = 1; i < 100000; i++) {
+  tail.next = { value: i, next: null };
+  tail = tail.next;
+}
+tail.next = linkedList; // 首尾相连
+let linkedList1 = iterativeDeepClone(linkedList);
+console.log('迭代版深拷贝:', linkedList1 !== linkedList, linkedList1.next.next.value);
+
+deepCloneAsync(linkedList, { timeSlice: 5 }).then((result) => {
+  console.log('时间分片深拷贝:', result.next.value, result !== linkedList);
+});
+
+// 可定制的深拷贝测试
+class Money {
+  constructor(amount, currency) {
+    this.amount = amount;
+    this.currency = currency;
+  }
+}
+registerCloneHandler(Money, (money) => new Money(money.amount, money.currency));
+
+const snapshotClone = createDeepClone({
+  filter: (key) => !String(key).startsWith('_'), // 跳过私有字段
+  transform: (key, value) => (key === 'password' ? '******' : value),
+  maxDepth: 2,
+  onCircular: (value, path) => console.log('发现循环引用:', path.join('.'))
+});
+let state = {
+  user: { name: 'tom', password: '123456', _token: 'abc' },
+  price: new Money(100, 'CNY'),
+  deep: { level1: { level2: { level3: 'shared' } } }
+};
+state.user.self = state.user;
+let snapshot = snapshotClone(state);
+console.log('定制深拷贝:', snapshot.user, snapshot.price instanceof Money);
+console.log('maxDepth 浅拷贝:', snapshot.deep.level1.level2 === state.deep.level1.level2);
+
+// 共享引用不是循环引用：不触发 onCircular，拷贝后仍然共享
+const shared = { id: 1 };
+const circularPaths = [];
+const sharedClone = createDeepClone({ onCircular: (value, path) => circularPaths.push(path.join('.')) })({ a: shared, b: shared });
+console.log('共享引用:', sharedClone.a === sharedClone.b, circularPaths); // true []
+
+// 自引用的类实例：处理器先 register 结果再克隆子属性
+class TreeNode {
+  constructor(name) {
+    this.name = name;
+    this.children = [];
+    this.parent = null;
+  }
+}
+const treeClone = createDeepClone({
+  handlers: new Map([[TreeNode, (node, { clone, register }) => {
+    const copy = register(new TreeNode(node.name));
+    copy.parent = clone(node.parent, 'parent');
+    copy.children = clone(node.children, 'children');
+    return copy;
+  }]])
+});
+const rootNode = new TreeNode('root');
+const childNode = new TreeNode('child');
+childNode.parent = rootNode;
+rootNode.children.push(childNode);
+const rootCopy = treeClone(rootNode);
+console.log('自引用处理器:', rootCopy.children[0].parent === rootCopy, rootCopy !== rootNode); // true true
+
+// 结构化克隆测试
+const buffer = new ArrayBuffer(8);
+let binary = {
+  bytes: new Uint8Array(buffer, 0, 4),
+  view: new DataView(buffer),
+  error: new TypeError('bad input', { cause: { code: 400 } }),
+  boxed: new String('boxed')
+};
+let binary1 = structuredDeepClone(binary);
+console.log('结构化克隆测试:', binary1.bytes.buffer === binary1.view.buffer, binary1.bytes.buffer !== buffer);
+console.log('错误对象克隆:', binary1.error instanceof TypeError, binary1.error.cause);
+console.log('伪造 toStringTag:', structuredDeepClone({ [Symbol.toStringTag]: 'Date', a: 1 })); // 普通对象 { a: 1 }
+class ValidationError extends TypeError {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+const validationError = structuredDeepClone(new ValidationError('bad', 'E_INPUT'), { preservePrototype: true });
+console.log('Error 子类:', validationError instanceof ValidationError, validationError.code); // true 'E_INPUT'
+
+try {
+  structuredDeepClone({ fn() {} });
+} catch (e) {
+  console.log('不可克隆:', e.name, e.message);
+}
+
+// 保留原型和属性描述符
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+    Object.defineProperty(this, 'id', { value: Math.random(), enumerable: false });
+    Object.freeze(this);
+  }
+  get length() {
+    return Math.hypot(this.x, this.y);
+  }
+}
+let point = new Point(3, 4);
+let point1 = structuredDeepClone(point, { preservePrototype: true });
+console.log('保留原型:', point1 instanceof Point, point1.length, point1.id === point.id, Object.isFrozen(point1));
+console.log('默认模式:', structuredDeepClone(point) instanceof Point);
\ No newline at end of file
@@ -203,6 +203,520 @@ const deepEqualReactState = (prevState, nextState) => {
   return compare(prevState, nextState);
 };
 
+// 7. 结构化差异 - 不只回答"是否相等"，还要知道"哪里不同"
+// 差异类型：added 新增 / removed 删除 / changed 值变化 / typeChanged 类型变化
+
+const getDiffType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value !== 'object') return typeof value;
+  return Object.prototype.toString.call(value).slice(8, -1).toLowerCase(); // date / regexp / object ...
+};
+
+const isSameLeaf = (a, b) => a === b || (a !== a && b !== b); // NaN 视为相等
+
+// 正在比较中的对象对（左侧对象 -> 右侧伙伴集合），进入时登记、离开时移除，相当于规范里带栈的比较
+// 同一个左侧对象可能同时和多个形状不同的右侧对象配对（a.self = a 对 b.self = { self: b }），
+// 所以每个左侧对象记一组伙伴；这一对已经在栈上时返回 false，循环结构不会无限递归
+const enterPair = (stack, x, y) => {
+  let partners = stack.get(x);
+  if (!partners) {
+    partners = new Set();
+    stack.set(x, partners);
+  }
+  if (partners.has(y)) return false;
+  partners.add(y);
+  return true;
+};
+
+const leavePair = (stack, x, y) => {
+  stack.get(x).delete(y);
+};
+
+// Map / Set 整体作为叶子：大小相同，且每个条目（Map 为 [key, value]）都能在另一边找到结构相同的一项
+const isSameCollection = (a, b, stack) => {
+  if (a.size !== b.size) return false;
+  const isSame = (x, y) => {
+    let same = true;
+    walkDiff(x, y, [], stack, () => { same = false; });
+    return same;
+  };
+  const entriesB = [...b];
+  const used = new Set();
+  return [...a].every((entryA) => {
+    const index = entriesB.findIndex((entryB, i) => !used.has(i) && isSame(entryA, entryB));
+    if (index === -1) return false;
+    used.add(index);
+    return true;
+  });
+};
+
+// 展开数组 / 对象，逐项比较
+const walkChildren = (a, b, type, path, stack, emit) => {
+  if (type === 'array') {
+    const common = Math.min(a.length, b.length);
+    for (let i = 0; i < common; i++) {
+      walkDiff(a[i], b[i], [...path, i], stack, emit);
+    }
+    // 删除从后往前，保证按顺序执行时下标仍然有效
+    for (let i = a.length - 1; i >= common; i--) {
+      emit({ kind: 'removed', path: [...path, i], oldValue: a[i] });
+    }
+    for (let i = common; i < b.length; i++) {
+      emit({ kind: 'added', path: [...path, i], newValue: b[i] });
+    }
+    return;
+  }
+  
+  for (const key of Object.keys(a)) {
+    if (Object.prototype.hasOwnProperty.call(b, key)) {
+      walkDiff(a[key], b[key], [...path, key], stack, emit);
+    } else {
+      emit({ kind: 'removed', path: [...path, key], oldValue: a[key] });
+    }
+  }
+  for (const key of Object.keys(b)) {
+    if (!Object.prototype.hasOwnProperty.call(a, key)) {
+      emit({ kind: 'added', path: [...path, key], newValue: b[key] });
+    }
+  }
+};
+
+/**
+ * 差异遍历（deepDiff 和 JSON Patch 共用）
+ * @param {*} a 旧值
+ * @param {*} b 新值
+ * @param {Array} path 当前路径
+ * @param {WeakMap} stack 正在比较中的对象对，处理循环引用
+ * @param {Function} emit (change) => void
+ */
+const walkDiff = (a, b, path, stack, emit) => {
+  if (a === b) return;
+  
+  const typeA = getDiffType(a);
+  const typeB = getDiffType(b);
+  
+  if (typeA !== typeB) {
+    emit({ kind: 'typeChanged', path, oldValue: a, newValue: b, oldType: typeA, newType: typeB });
+    return;
+  }
+  
+  switch (typeA) {
+    case 'date':
+      if (a.getTime() !== b.getTime()) emit({ kind: 'changed', path, oldValue: a, newValue: b });
+      return;
+    case 'regexp':
+      if (a.toString() !== b.toString()) emit({ kind: 'changed', path, oldValue: a, newValue: b });
+      return;
+    case 'array':
+    case 'object':
+    case 'map':
+    case 'set':
+      break;
+    default:
+      if (!isSameLeaf(a, b)) emit({ kind: 'changed', path, oldValue: a, newValue: b });
+      return;
+  }
+  
+  // 循环引用：这一对对象已经在比较中，不再重复展开
+  if (!enterPair(stack, a, b)) return;
+  try {
+    if (typeA === 'map' || typeA === 'set') {
+      if (!isSameCollection(a, b, stack)) emit({ kind: 'changed', path, oldValue: a, newValue: b });
+    } else {
+      walkChildren(a, b, typeA, path, stack, emit);
+    }
+  } finally {
+    leavePair(stack, a, b);
+  }
+};
+
+/**
+ * 结构化差异
+ * @param {*} a 旧值
+ * @param {*} b 新值
+ * @returns {Array} [{ kind, path, oldValue, newValue }]，path 是键数组，如 ['user', 'tags', 0]
+ */
+const deepDiff = (a, b) => {
+  const changes = [];
+  walkDiff(a, b, [], new WeakMap(), change => changes.push(change));
+  return changes;
+};
+
+// 8. JSON Patch (RFC 6902)
+
+// 路径数组 <-> JSON Pointer (RFC 6901)，~ 转义为 ~0，/ 转义为 ~1
+const toPointer = (path) => path.map(key => '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+
+const parsePointer = (pointer) => {
+  if (pointer === '') return [];
+  if (pointer[0] !== '/') {
+    throw new Error(`Invalid JSON Pointer: "${pointer}"`);
+  }
+  return pointer.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+// 按 CreateDataProperty 语义写入自身属性：键为 __proto__ 时也只是普通属性，不会修改原型
+const defineDataProperty = (target, key, value) => {
+  Object.defineProperty(target, key, { value, writable: true, enumerable: true, configurable: true });
+};
+
+// JSON 值的深拷贝，避免补丁和文档共享引用
+const cloneJSONValue = (value) => {
+  if (Array.isArray(value)) return value.map(cloneJSONValue);
+  if (value && typeof value === 'object' && getDiffType(value) === 'object') {
+    const result = {};
+    Object.keys(value).forEach(key => {
+      defineDataProperty(result, key, cloneJSONValue(value[key]));
+    });
+    return result;
+  }
+  return value;
+};
+
+/**
+ * 生成 JSON Patch
+ * @param {*} a 旧文档
+ * @param {*} b 新文档
+ * @returns {Array} [{ op, path, value? }]
+ */
+const diff = (a, b) => {
+  const patch = [];
+  walkDiff(a, b, [], new WeakMap(), ({ kind, path, newValue }) => {
+    const pointer = toPointer(path);
+    if (kind === 'added') {
+      patch.push({ op: 'add', path: pointer, value: cloneJSONValue(newValue) });
+    } else if (kind === 'removed') {
+      patch.push({ op: 'remove', path: pointer });
+    } else {
+      patch.push({ op: 'replace', path: pointer, value: cloneJSONValue(newValue) });
+    }
+  });
+  return patch;
+};
+
+/**
+ * 应用 JSON Patch，支持 add / remove / replace / move / copy / test
+ * 原子操作：任何一步失败都会抛错，原文档不会被修改
+ * @param {*} document 原文档
+ * @param {Array} patch 补丁
+ * @returns {*} 新文档
+ */
+const applyPatch = (document, patch) => {
+  let root = cloneJSONValue(document);
+  
+  // 找到路径的父节点和最后一个键
+  // 补丁可能来自不可信的输入：只沿自有属性查找，写入用 defineDataProperty，防止原型污染
+  const resolveParent = (path, op) => {
+    let parent = root;
+    for (let i = 0; i < path.length - 1; i++) {
+      const key = path[i];
+      if (parent === null || typeof parent !== 'object' || !Object.prototype.hasOwnProperty.call(parent, key)) {
+        throw new Error(`${op}: path "${toPointer(path)}" does not exist`);
+      }
+      parent = parent[key];
+    }
+    if (parent === null || typeof parent !== 'object') {
+      throw new Error(`${op}: path "${toPointer(path)}" does not exist`);
+    }
+    return { parent, key: path[path.length - 1] };
+  };
+  
+  // 数组下标必须是非负整数，add 时允许等于长度
+  const toIndex = (array, key, op, allowEnd) => {
+    if (!/^(0|[1-9]\d*)$/.test(key)) {
+      throw new Error(`${op}: invalid array index "${key}"`);
+    }
+    const index = Number(key);
+    if (index > array.length || (!allowEnd && index === array.length)) {
+      throw new Error(`${op}: array index ${index} out of bounds`);
+    }
+    return index;
+  };
+  
+  const getValue = (path, op) => {
+    if (path.length === 0) return root;
+    const { parent, key } = resolveParent(path, op);
+    if (Array.isArray(parent)) {
+      return parent[toIndex(parent, key, op, false)];
+    }
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+      throw new Error(`${op}: path "${toPointer(path)}" does not exist`);
+    }
+    return parent[key];
+  };
+  
+  const addValue = (path, value, op) => {
+    if (path.length === 0) {
+      root = value;
+      return;
+    }
+    const { parent, key } = resolveParent(path, op);
+    if (Array.isArray(parent)) {
+      const index = key === '-' ? parent.length : toIndex(parent, key, op, true);
+      parent.splice(index, 0, value);
+    } else {
+      defineDataProperty(parent, key, value);
+    }
+  };
+  
+  const removeValue = (path, op) => {
+    const value = getValue(path, op); // 顺便校验路径存在
+    if (path.length === 0) {
+      root = undefined;
+      return value;
+    }
+    const { parent, key } = resolveParent(path, op);
+    if (Array.isArray(parent)) {
+      parent.splice(Number(key), 1);
+    } else {
+      delete parent[key];
+    }
+    return value;
+  };
+  
+  patch.forEach((operation) => {
+    const { op, value } = operation;
+    const path = parsePointer(operation.path);
+    
+    switch (op) {
+      case 'add':
+        addValue(path, cloneJSONValue(value), op);
+        break;
+      case 'remove':
+        removeValue(path, op);
+        break;
+      case 'replace':
+        removeValue(path, op);
+        addValue(path, cloneJSONValue(value), op);
+        break;
+      case 'move': {
+        const from = parsePointer(operation.from);
+        // 不能把节点移动到自己的子节点下
+        if (operation.path.startsWith(operation.from + '/')) {
+          throw new Error(`move: cannot move "${operation.from}" into its own child`);
+        }
+        addValue(path, removeValue(from, op), op);
+        break;
+      }
+      case 'copy':
+        addValue(path, cloneJSONValue(getValue(parsePointer(operation.from), op)), op);
+        break;
+      case 'test':
+        if (!deepEqualAdvanced(getValue(path, op), value)) {
+          throw new Error(`test: value at "${operation.path}" does not match`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown JSON Patch operation: "${op}"`);
+    }
+  });
+  
+  return root;
+};
+
+// 9. 规范级深比较 - 支持 Map、Set、TypedArray、ArrayBuffer、包装对象、Error、Symbol 键
+// 并返回第一处不同的路径
+
+// 基本值比较：SameValueZero 认为 NaN 相等、+0 与 -0 相等；Object.is 认为 +0 与 -0 不等
+const sameValueZero = (a, b) => a === b || (a !== a && b !== b);
+const EQUALITY = {
+  sameValueZero,
+  objectIs: Object.is
+};
+
+const getTag = (value) => Object.prototype.toString.call(value);
+
+// 自身可枚举的键，包括 Symbol
+const ownEnumerableKeys = (value) => Reflect.ownKeys(value).filter(
+  key => Object.prototype.propertyIsEnumerable.call(value, key)
+);
+
+/**
+ * 规范级深比较，返回第一处不同
+ * 
+ * @param {*} a 
+ * @param {*} b 
+ * @param {Object} options 配置选项
+ * @param {string} options.equality 基本值比较方式 sameValueZero / objectIs，默认 sameValueZero
+ * @param {boolean} options.checkPrototype 是否要求原型相同，默认 false
+ * @returns {Object} { equal, path, reason }，相等时 path 为 null
+ */
+const deepCompare = (a, b, options = {}) => {
+  const { equality = 'sameValueZero', checkPrototype = false } = options;
+  const isEqualValue = EQUALITY[equality];
+  if (!isEqualValue) {
+    throw new TypeError(`Unknown equality: ${equality}`);
+  }
+  
+  const fail = (path, reason) => ({ path, reason });
+  
+  // 不带路径的试比较，用于在 Map/Set 中寻找深度相等的成员
+  const matches = (x, y) => compare(x, y, [], new WeakMap()) === null;
+  
+  // 在 candidates 中找一个与 value 深度相等且未被匹配过的成员
+  const takeMatch = (value, candidates, used) => {
+    for (const candidate of candidates) {
+      if (!used.has(candidate) && matches(value, candidate)) {
+        used.add(candidate);
+        return true;
+      }
+    }
+    return false;
+  };
+  
+  const compareKeys = (x, y, path, visited) => {
+    const keysX = ownEnumerableKeys(x);
+    const keysY = ownEnumerableKeys(y);
+    if (keysX.length !== keysY.length) {
+      return fail(path, `key count differs: ${keysX.length} vs ${keysY.length}`);
+    }
+    for (const key of keysX) {
+      if (!Object.prototype.propertyIsEnumerable.call(y, key)) {
+        return fail([...path, key], 'missing key');
+      }
+      const diff = compare(x[key], y[key], [...path, key], visited);
+      if (diff) return diff;
+    }
+    return null;
+  };
+  
+  const compareElements = (x, y, path) => {
+    if (x.length !== y.length) {
+      return fail(path, `length differs: ${x.length} vs ${y.length}`);
+    }
+    for (let i = 0; i < x.length; i++) {
+      if (!isEqualValue(x[i], y[i])) {
+        return fail([...path, i], `value differs: ${x[i]} vs ${y[i]}`);
+      }
+    }
+    return null;
+  };
+  
+  const compare = (x, y, path, visited) => {
+    if (isEqualValue(x, y)) return null;
+    
+    if (typeof x !== typeof y) {
+      return fail(path, `type differs: ${typeof x} vs ${typeof y}`);
+    }
+    if (x === null || y === null || typeof x !== 'object') {
+      return fail(path, 'value differs');
+    }
+    
+    const tag = getTag(x);
+    if (tag !== getTag(y)) {
+      return fail(path, `type differs: ${tag} vs ${getTag(y)}`);
+    }
+    if (checkPrototype && Object.getPrototypeOf(x) !== Object.getPrototypeOf(y)) {
+      return fail(path, 'prototype differs');
+    }
+    
+    // 循环引用：这一对正在比较中，假设相等
+    if (!enterPair(visited, x, y)) return null;
+    try {
+      return compareContents(x, y, tag, path, visited);
+    } finally {
+      leavePair(visited, x, y);
+    }
+  };
+  
+  const compareContents = (x, y, tag, path, visited) => {
+    switch (tag) {
+      case '[object Number]':
+      case '[object String]':
+      case '[object Boolean]':
+      case '[object BigInt]':
+      case '[object Symbol]':
+        if (!isEqualValue(x.valueOf(), y.valueOf())) {
+          return fail(path, 'boxed value differs');
+        }
+        break;
+      case '[object Date]':
+        if (!isEqualValue(x.getTime(), y.getTime())) {
+          return fail(path, 'date differs');
+        }
+        break;
+      case '[object RegExp]':
+        if (x.source !== y.source || x.flags !== y.flags) {
+          return fail(path, 'regexp differs');
+        }
+        break;
+      case '[object Error]':
+        if (x.name !== y.name || x.message !== y.message) {
+          return fail(path, 'error differs');
+        }
+        break;
+      case '[object ArrayBuffer]':
+      case '[object SharedArrayBuffer]':
+        return compareElements(new Uint8Array(x), new Uint8Array(y), path);
+      case '[object DataView]':
+        return compareElements(
+          new Uint8Array(x.buffer, x.byteOffset, x.byteLength),
+          new Uint8Array(y.buffer, y.byteOffset, y.byteLength),
+          path
+        );
+      case '[object Map]': {
+        if (x.size !== y.size) {
+          return fail(path, `size differs: ${x.size} vs ${y.size}`);
+        }
+        const used = new Set();
+        for (const [key, value] of x) {
+          if (y.has(key)) {
+            const diff = compare(value, y.get(key), [...path, key], visited);
+            if (diff) return diff;
+            continue;
+          }
+          // 对象键：在 y 中找一个深度相等且值也深度相等的条目
+          const found = typeof key === 'object' && key !== null && [...y].some(([otherKey, otherValue]) => {
+            if (used.has(otherKey) || x.has(otherKey)) return false;
+            if (matches(key, otherKey) && matches(value, otherValue)) {
+              used.add(otherKey);
+              return true;
+            }
+            return false;
+          });
+          if (!found) {
+            return fail([...path, key], 'missing map key');
+          }
+        }
+        return null;
+      }
+      case '[object Set]': {
+        if (x.size !== y.size) {
+          return fail(path, `size differs: ${x.size} vs ${y.size}`);
+        }
+        const used = new Set();
+        const candidates = [...y].filter(value => !x.has(value));
+        let index = 0;
+        for (const value of x) {
+          if (!y.has(value) && !takeMatch(value, candidates, used)) {
+            return fail([...path, index], 'missing set member');
+          }
+          index++;
+        }
+        return null;
+      }
+      default:
+        if (ArrayBuffer.isView(x)) {
+          return compareElements(x, y, path);
+        }
+        if (Array.isArray(x) && x.length !== y.length) {
+          return fail(path, `length differs: ${x.length} vs ${y.length}`);
+        }
+    }
+    
+    // 包装对象、Date、Error、数组、普通对象还要比较自身属性
+    return compareKeys(x, y, path, visited);
+  };
+  
+  const diff = compare(a, b, [], new WeakMap());
+  return diff
+    ? { equal: false, path: diff.path, reason: diff.reason }
+    : { equal: true, path: null, reason: null };
+};
+
+const deepEqualSpec = (a, b, options) => deepCompare(a, b, options).equal;
+
 // ===== 使用示例 =====
 
 console.log('=== 深比较测试 ===');
@@ -318,11 +832,65 @@ const ReactStateExample = () => {
 
 ReactStateExample();
 
+// 差异和 JSON Patch 示例
+const formInitial = { name: 'Tom', tags: ['a', 'b', 'c'], address: { city: 'Beijing' } };
+const formCurrent = { name: 'Jerry', tags: ['a', 'b'], address: { city: 'Beijing', zip: '100000' }, age: '25' };
+
+console.log('\n=== 结构化差异 ===');
+deepDiff(formInitial, formCurrent).forEach(change => {
+  console.log(change.kind, change.path.join('.'));
+});
+
+const patch = diff(formInitial, formCurrent);
+console.log('JSON Patch:', patch);
+console.log('应用补丁后相等:', deepEqual(applyPatch(formInitial, patch), formCurrent)); // true
+
+// 不可信补丁：只沿自有属性查找，经过继承来的 __proto__ 时抛错
+try {
+  applyPatch({}, [{ op: 'add', path: '/__proto__/polluted', value: 'yes' }]);
+} catch (error) {
+  console.log('拒绝原型污染:', error.message);
+}
+// 值里的 __proto__ 键和 JSON.parse 一样作为普通属性，不会修改原型
+const patchedUser = applyPatch({}, [{ op: 'add', path: '/u', value: JSON.parse('{"__proto__":{"isAdmin":true}}') }]).u;
+console.log('__proto__ 作为普通键:', patchedUser.isAdmin, Object.keys(patchedUser)); // undefined ['__proto__']
+console.log('Object.prototype 未被修改:', ({}).polluted === undefined); // true
+// constructor 等普通键可以正常往返
+const withConstructor = { constructor: 'x' };
+console.log('constructor 键往返:', deepEqual(applyPatch(withConstructor, diff(withConstructor, { constructor: 'y' })), { constructor: 'y' })); // true
+
+// 形状不同的循环结构、Map / Set 按结构比较
+const selfLoop = { name: 'loop' };
+selfLoop.self = selfLoop;
+const twoStepLoop = { name: 'loop' };
+twoStepLoop.self = { name: 'loop', self: twoStepLoop };
+console.log('不同形状的循环:', deepDiff(selfLoop, twoStepLoop)); // []
+console.log('Set 按结构比较:', deepDiff({ s: new Set([1]) }, { s: new Set([1]) }).length); // 0
+
+// 规范级深比较示例
+console.log('\n=== 规范级深比较 ===');
+console.log('Map 顺序无关:', deepEqualSpec(new Map([['a', 1], ['b', 2]]), new Map([['b', 2], ['a', 1]]))); // true
+console.log('Set 对象成员:', deepEqualSpec(new Set([{ id: 1 }, { id: 2 }]), new Set([{ id: 2 }, { id: 1 }]))); // true
+console.log('NaN:', deepEqualSpec([NaN], [NaN])); // true
+console.log('-0 (sameValueZero):', deepEqualSpec(0, -0)); // true
+console.log('-0 (objectIs):', deepEqualSpec(0, -0, { equality: 'objectIs' })); // false
+console.log('TypedArray:', deepEqualSpec(new Uint8Array([1, 2]), new Uint8Array([1, 3]))); // false
+console.log('不同形状的循环:', deepEqualSpec(selfLoop, twoStepLoop)); // true
+console.log('第一处不同:', deepCompare(
+  { user: { tags: new Set(['a']), [Symbol.for('id')]: 1 } },
+  { user: { tags: new Set(['a']), [Symbol.for('id')]: 2 } }
+)); // path: ['user', Symbol(id)]
+
 export { 
   deepEqual, 
   deepEqualAdvanced, 
   deepEqualOptimized,
   deepEqualWithCustom,
   deepEqualJSON,
-  deepEqualReactState
+  deepEqualReactState,
+  deepCompare,
+  deepEqualSpec,
+  deepDiff,
+  diff,
+  applyPatch
 };
@@ -5,6 +5,11 @@
  * 检查构造函数的 prototype 属性是否出现在对象的原型链上
  */
 
+// 原型链工具：浏览器中需先引入 prototype-chain.js
+if (typeof getPrototypeChain === 'undefined' && typeof require === 'function') {
+  var { getPrototypeChain, isInstance, inheritsFrom, formatPrototypeChain } = require('./prototype-chain.js');
+}
+
 // 基础版本
 function myInstanceof(obj, constructor) {
   // 1. 参数验证
@@ -17,19 +22,9 @@ function myInstanceof(obj, constructor) {
     return false;
   }
 
-  // 3. 获取对象的原型和构造函数的 prototype
-  let proto = Object.getPrototypeOf(obj);
+  // 3. 在原型链上查找构造函数的 prototype（getPrototypeChain 会拦截循环或过长的原型链）
   const prototype = constructor.prototype;
-
-  // 4. 遍历原型链
-  while (proto !== null) {
-    if (proto === prototype) {
-      return true;
-    }
-    proto = Object.getPrototypeOf(proto);
-  }
-
-  return false;
+  return getPrototypeChain(obj).some(({ proto }) => proto === prototype);
 }
 
 // 处理边界情况的完整版本
@@ -106,6 +101,21 @@ function myInstanceofRecursive(obj, constructor) {
   return checkPrototype(Object.getPrototypeOf(obj), constructor.prototype);
 }
 
+// 跨 realm 版本（iframe、vm 创建的对象）
+// 原型链查找失败时，内置构造函数降级为品牌检查：iframe 里的数组也是 Array
+function myInstanceofCrossRealm(obj, constructor) {
+  if (typeof constructor === 'function' && constructor[Symbol.hasInstance] !== Function.prototype[Symbol.hasInstance]) {
+    return myInstanceofWithSymbol(obj, constructor);
+  }
+  return isInstance(obj, constructor);
+}
+
 // test
-let arr = [1, 2, 3];
-console.log(myInstanceof(arr, Array));
\ No newline at end of file
+const list = [1, 2, 3];
+console.log(myInstanceof(list, Array));
+
+// 原型链上每一环都是 instanceof 为 true 的构造函数
+class Shape {}
+class Circle extends Shape {}
+console.log(formatPrototypeChain(new Circle()));
+console.log(inheritsFrom(Circle, Shape), myInstanceofCrossRealm(new Circle(), Shape)); // true true
\ No newline at end of file
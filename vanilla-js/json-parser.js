@@ -563,6 +563,463 @@ function myJSONStringifyAdvanced(value, replacer, space) {
   return stringify(value, '', '');
 }
 
+/**
+ * 4. 流式 JSON 解析器
+ *
+ * 核心原理：逐字符推进的状态机，所有中间状态都保存在实例上，所以文本可以分成任意多块 feed
+ * - 容器栈记录当前所在的对象 / 数组，以及对象的当前键、数组的当前下标
+ * - 字符串、数字、字面量可能被拆在两块之间，未完成的部分暂存在 token 里
+ * - 数字没有结束符，遇到下一个非数字字符（或 end()）才算完成
+ *
+ * 事件（SAX 风格，path 为从根开始的键 / 下标数组）：
+ * - startObject(path) / endObject(path)
+ * - startArray(path) / endArray(path)
+ * - key(key, path)：path 为所在对象的路径
+ * - value(value, path)：字符串、数字、布尔、null
+ * - match(value, path)：selector 模式下，匹配的子树解析完成时触发
+ * - end()
+ *
+ * selector 语法（JSONPath 子集）：$ 根，.name / ['name'] 属性，[0] 下标，* 任意，.. 任意层级
+ * 只有匹配的子树才会组装成对象，其余部分只触发事件，内存占用与匹配项大小有关，与整个文本无关
+ */
+const JSON_WHITESPACE = new Set([' ', '\t', '\n', '\r']);
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+const JSON_LITERALS = { t: ['true', true], f: ['false', false], n: ['null', null] };
+const JSON_NUMBER = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const isNumberChar = (char) => (char >= '0' && char <= '9') || char === '-' || char === '+' || char === '.' || char === 'e' || char === 'E';
+const PARSER_EVENTS = ['startObject', 'endObject', 'startArray', 'endArray', 'key', 'value', 'match', 'end'];
+
+/**
+ * 编译选择器
+ * '$.users[*].name' => [{ type: 'key', key: 'users' }, { type: 'wildcard' }, { type: 'key', key: 'name' }]
+ */
+function compileJSONPath(selector) {
+  if (typeof selector !== 'string' || selector[0] !== '$') {
+    throw new SyntaxError(`Selector must start with '$': ${selector}`);
+  }
+
+  const segments = [];
+  const pattern = /^(?:\.\.|\.([A-Za-z_$][\w$]*|\*)|\[(\d+|\*|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\])/;
+  let rest = selector.slice(1);
+
+  while (rest) {
+    const match = pattern.exec(rest);
+    if (!match) {
+      throw new SyntaxError(`Invalid selector at '${rest}' in ${selector}`);
+    }
+    const [token, name, bracket] = match;
+    if (token === '..') {
+      segments.push({ type: 'descendant' });
+      // .. 后面可以直接跟属性名，如 $..id
+      const nameMatch = /^([A-Za-z_$][\w$]*|\*)/.exec(rest.slice(2));
+      if (nameMatch) {
+        segments.push(nameMatch[1] === '*' ? { type: 'wildcard' } : { type: 'key', key: nameMatch[1] });
+        rest = rest.slice(2 + nameMatch[1].length);
+        continue;
+      }
+    } else {
+      const part = name !== undefined ? name : bracket;
+      if (part === '*') {
+        segments.push({ type: 'wildcard' });
+      } else if (/^\d+$/.test(part) && bracket !== undefined) {
+        segments.push({ type: 'index', index: Number(part) });
+      } else {
+        const key = name !== undefined ? name : part.slice(1, -1).replace(/\\(.)/g, '$1');
+        segments.push({ type: 'key', key });
+      }
+    }
+    rest = rest.slice(token.length);
+  }
+
+  if (segments.length > 0 && segments[segments.length - 1].type === 'descendant') {
+    throw new SyntaxError(`Selector cannot end with '..': ${selector}`);
+  }
+  return segments;
+}
+
+// 路径是否与选择器完全匹配，.. 可以跳过任意层（包括 0 层）
+function matchJSONPath(segments, path, i = 0, j = 0) {
+  if (i === segments.length) return j === path.length;
+
+  const segment = segments[i];
+  if (segment.type === 'descendant') {
+    for (let k = j; k < path.length; k++) {
+      if (matchJSONPath(segments, path, i + 1, k)) return true;
+    }
+    return false;
+  }
+
+  if (j === path.length) return false;
+  const part = path[j];
+  const matched = segment.type === 'wildcard'
+    || (segment.type === 'key' && part === segment.key)
+    || (segment.type === 'index' && part === segment.index);
+  return matched && matchJSONPath(segments, path, i + 1, j + 1);
+}
+
+class StreamingJSONParser {
+  #selector;
+  #multiple;
+  #listeners = new Map();
+  #decoder = null;
+  #stack = [];        // { type, path, key, index, matched, capture, value }
+  #state = 'value';   // value / valueOrEnd / key / keyOrEnd / colon / commaOrEnd / done
+  #token = null;      // 未完成的字符串 / 数字 / 字面量
+  #offset = 0;        // 之前各块的总长度，用于错误位置
+  #rootCount = 0;
+  #ended = false;
+
+  /**
+   * @param {Object} options 配置选项
+   * @param {string} options.selector JSONPath 风格的选择器，匹配的子树完成时触发 match 事件，默认不启用
+   * @param {boolean} options.multiple 是否允许多个连续的顶层值（NDJSON、JSON Lines），默认 false
+   */
+  constructor(options = {}) {
+    const { selector = null, multiple = false } = options;
+    this.#selector = selector === null ? null : compileJSONPath(selector);
+    this.#multiple = multiple;
+  }
+
+  on(event, handler) {
+    if (!PARSER_EVENTS.includes(event)) {
+      throw new TypeError(`Unknown event: ${event}`);
+    }
+    if (!this.#listeners.has(event)) {
+      this.#listeners.set(event, new Set());
+    }
+    this.#listeners.get(event).add(handler);
+    return this;
+  }
+
+  off(event, handler) {
+    const handlers = this.#listeners.get(event);
+    if (handlers) handlers.delete(handler);
+    return this;
+  }
+
+  // 当前位置（已处理的字符数）
+  get position() {
+    return this.#offset;
+  }
+
+  /**
+   * 输入一块文本，解析出的事件同步触发
+   * @param {string|Uint8Array|ArrayBuffer} chunk 二进制按 UTF-8 解码，多字节字符被拆开也没关系
+   * @returns {StreamingJSONParser}
+   */
+  feed(chunk) {
+    if (this.#ended) {
+      throw new Error('Cannot feed after end()');
+    }
+
+    let text = chunk;
+    if (typeof chunk !== 'string') {
+      this.#decoder = this.#decoder || new TextDecoder();
+      text = this.#decoder.decode(chunk, { stream: true });
+    }
+
+    let i = 0;
+    while (i < text.length) {
+      i = this.#step(text, i);
+    }
+    this.#offset += text.length;
+    return this;
+  }
+
+  // 输入结束：完成末尾的数字，检查文本是否完整
+  end() {
+    if (this.#ended) return this;
+    if (this.#decoder) {
+      const rest = this.#decoder.decode();
+      if (rest) this.feed(rest);
+    }
+
+    if (this.#token && this.#token.type === 'number') {
+      this.#finishNumber();
+    }
+    const emptyStream = this.#multiple && this.#rootCount === 0 && this.#state === 'value' && this.#stack.length === 0;
+    if (this.#token || (this.#state !== 'done' && !emptyStream)) {
+      throw new SyntaxError(`Unexpected end of JSON input at position ${this.#offset}`);
+    }
+
+    this.#ended = true;
+    this.#emit('end');
+    return this;
+  }
+
+  #emit(event, ...args) {
+    const handlers = this.#listeners.get(event);
+    if (handlers) handlers.forEach(handler => handler(...args));
+  }
+
+  #unexpected(char, i) {
+    return new SyntaxError(`Unexpected character '${char}' at position ${this.#offset + i}`);
+  }
+
+  // 处理从 i 开始的字符，返回下一个待处理的位置
+  #step(text, i) {
+    if (this.#token) {
+      return this.#continueToken(text, i);
+    }
+
+    const char = text[i];
+    if (JSON_WHITESPACE.has(char)) {
+      return i + 1;
+    }
+
+    const frame = this.#stack[this.#stack.length - 1];
+    switch (this.#state) {
+      case 'valueOrEnd':
+        if (char === ']') return this.#closeContainer(i);
+        return this.#beginValue(char, i);
+      case 'value':
+        return this.#beginValue(char, i);
+      case 'keyOrEnd':
+        if (char === '}') return this.#closeContainer(i);
+        // fall through
+      case 'key':
+        if (char !== '"') throw this.#unexpected(char, i);
+        this.#token = { type: 'key', text: '', escape: false, unicode: null };
+        return i + 1;
+      case 'colon':
+        if (char !== ':') throw this.#unexpected(char, i);
+        this.#state = 'value';
+        return i + 1;
+      case 'commaOrEnd':
+        if (char === ',') {
+          this.#state = frame.type === 'object' ? 'key' : 'value';
+          return i + 1;
+        }
+        if (char === (frame.type === 'object' ? '}' : ']')) return this.#closeContainer(i);
+        throw this.#unexpected(char, i);
+      case 'done':
+        if (!this.#multiple) {
+          throw new SyntaxError(`Unexpected content after JSON at position ${this.#offset + i}`);
+        }
+        this.#state = 'value';
+        return i;
+    }
+    throw new Error(`Invalid parser state: ${this.#state}`);
+  }
+
+  #beginValue(char, i) {
+    if (char === '{' || char === '[') {
+      this.#openContainer(char === '{' ? 'object' : 'array');
+      return i + 1;
+    }
+    if (char === '"') {
+      this.#token = { type: 'string', text: '', escape: false, unicode: null };
+      return i + 1;
+    }
+    if (char === '-' || (char >= '0' && char <= '9')) {
+      this.#token = { type: 'number', text: '', start: this.#offset + i };
+      return i;
+    }
+    if (JSON_LITERALS[char]) {
+      const [expected, value] = JSON_LITERALS[char];
+      this.#token = { type: 'literal', text: '', expected, value };
+      return i;
+    }
+    throw this.#unexpected(char, i);
+  }
+
+  #continueToken(text, i) {
+    const token = this.#token;
+
+    if (token.type === 'number') {
+      let j = i;
+      while (j < text.length && isNumberChar(text[j])) j++;
+      token.text += text.slice(i, j);
+      // 到了块末尾还不能确定数字是否结束，等下一块
+      if (j < text.length) this.#finishNumber();
+      return j;
+    }
+
+    if (token.type === 'literal') {
+      while (i < text.length && token.text.length < token.expected.length) {
+        if (text[i] !== token.expected[token.text.length]) throw this.#unexpected(text[i], i);
+        token.text += text[i++];
+      }
+      if (token.text.length === token.expected.length) {
+        this.#token = null;
+        this.#completePrimitive(token.value);
+      }
+      return i;
+    }
+
+    // 字符串和键
+    if (token.unicode !== null) {
+      if (!/[0-9a-fA-F]/.test(text[i])) {
+        throw new SyntaxError(`Invalid Unicode escape at position ${this.#offset + i}`);
+      }
+      token.unicode += text[i];
+      if (token.unicode.length === 4) {
+        token.text += String.fromCharCode(parseInt(token.unicode, 16));
+        token.unicode = null;
+      }
+      return i + 1;
+    }
+
+    if (token.escape) {
+      token.escape = false;
+      if (text[i] === 'u') {
+        token.unicode = '';
+      } else if (text[i] in JSON_ESCAPES) {
+        token.text += JSON_ESCAPES[text[i]];
+      } else {
+        throw new SyntaxError(`Invalid escape character '\\${text[i]}' at position ${this.#offset + i}`);
+      }
+      return i + 1;
+    }
+
+    // 普通字符成段拷贝，比逐字符拼接快得多
+    let j = i;
+    while (j < text.length && text[j] !== '"' && text[j] !== '\\' && text[j] >= ' ') j++;
+    token.text += text.slice(i, j);
+    if (j === text.length) return j;
+
+    if (text[j] === '\\') {
+      token.escape = true;
+      return j + 1;
+    }
+    if (text[j] !== '"') {
+      throw new SyntaxError(`Bad control character in string at position ${this.#offset + j}`);
+    }
+
+    this.#token = null;
+    if (token.type === 'key') {
+      const frame = this.#stack[this.#stack.length - 1];
+      frame.key = token.text;
+      this.#emit('key', token.text, frame.path);
+      this.#state = 'colon';
+    } else {
+      this.#completePrimitive(token.text);
+    }
+    return j + 1;
+  }
+
+  #finishNumber() {
+    const { text, start } = this.#token;
+    if (!JSON_NUMBER.test(text)) {
+      throw new SyntaxError(`Invalid number '${text}' at position ${start}`);
+    }
+    this.#token = null;
+    this.#completePrimitive(Number(text));
+  }
+
+  // 下一个值的路径
+  #childPath() {
+    const frame = this.#stack[this.#stack.length - 1];
+    if (!frame) return [];
+    return [...frame.path, frame.type === 'object' ? frame.key : frame.index];
+  }
+
+  #matches(path) {
+    return this.#selector !== null && matchJSONPath(this.#selector, path);
+  }
+
+  #openContainer(type) {
+    const path = this.#childPath();
+    const parent = this.#stack[this.#stack.length - 1];
+    const matched = this.#matches(path);
+    // 匹配的子树及其内部才组装成对象
+    const capture = matched || Boolean(parent && parent.capture);
+
+    this.#stack.push({
+      type,
+      path,
+      key: null,
+      index: 0,
+      matched,
+      capture,
+      value: capture ? (type === 'object' ? {} : []) : undefined
+    });
+    this.#state = type === 'object' ? 'keyOrEnd' : 'valueOrEnd';
+    this.#emit(type === 'object' ? 'startObject' : 'startArray', path);
+  }
+
+  #closeContainer(i) {
+    const frame = this.#stack.pop();
+    this.#emit(frame.type === 'object' ? 'endObject' : 'endArray', frame.path);
+    this.#completeValue(frame.value, frame.path, frame.matched);
+    return i + 1;
+  }
+
+  #completePrimitive(value) {
+    const path = this.#childPath();
+    this.#emit('value', value, path);
+    this.#completeValue(value, path, this.#matches(path));
+  }
+
+  #completeValue(value, path, matched) {
+    const parent = this.#stack[this.#stack.length - 1];
+
+    if (parent && parent.capture) {
+      if (parent.type === 'array') {
+        parent.value.push(value);
+      } else if (parent.key === '__proto__') {
+        // 与 JSON.parse 一致：作为普通属性，而不是修改原型
+        Object.defineProperty(parent.value, parent.key, { value, writable: true, enumerable: true, configurable: true });
+      } else {
+        parent.value[parent.key] = value;
+      }
+    }
+
+    if (matched) {
+      this.#emit('match', value, path);
+    }
+
+    if (!parent) {
+      this.#rootCount++;
+      this.#state = 'done';
+      return;
+    }
+    if (parent.type === 'array') {
+      parent.index++;
+    }
+    this.#state = 'commaOrEnd';
+  }
+}
+
+// ReadableStream 逐块读取，提前退出时取消读取（停止下载）
+async function* readStreamChunks(stream) {
+  const reader = stream.getReader();
+  let done = false;
+  try {
+    while (!done) {
+      const result = await reader.read();
+      done = result.done;
+      if (!done) yield result.value;
+    }
+  } finally {
+    if (!done) await reader.cancel();
+    reader.releaseLock();
+  }
+}
+
+/**
+ * 流式解析，按 selector 逐个产出匹配的子树
+ *
+ * for await (const user of parseJSONStream(response.body, { selector: '$.users[*]' })) { ... }
+ *
+ * @param {AsyncIterable|Iterable|ReadableStream} source 文本块或二进制块
+ * @param {Object} options 同 StreamingJSONParser，selector 默认 '$'（每个顶层值）
+ * @returns {AsyncGenerator}
+ */
+async function* parseJSONStream(source, options = {}) {
+  const matches = [];
+  const parser = new StreamingJSONParser({ selector: '$', ...options })
+    .on('match', value => matches.push(value));
+  const chunks = typeof source.getReader === 'function' ? readStreamChunks(source) : source;
+
+  for await (const chunk of chunks) {
+    parser.feed(chunk);
+    yield* matches.splice(0);
+  }
+  parser.end();
+  yield* matches.splice(0);
+}
+
 // 测试用例
 console.log('=== JSON 序列化和反序列化测试 ===\n');
 
@@ -658,6 +1115,49 @@ const revived = myJSONParse(jsonString, (key, value) => {
 });
 console.log('使用 reviver:', revived);
 
+// 9. 流式解析测试
+console.log('\n9. 流式解析测试：');
+const streamText = '{"total":2,"users":[{"id":1,"name":"Tom\\u00e9"},{"id":2,"name":"Jerry","tags":["a","b"]}]}';
+
+// 任意切块，结果都一样
+const saxEvents = [];
+const saxParser = new StreamingJSONParser();
+['startObject', 'endObject', 'startArray', 'endArray', 'key', 'value'].forEach(event => {
+  saxParser.on(event, () => saxEvents.push(event));
+});
+for (let i = 0; i < streamText.length; i += 7) {
+  saxParser.feed(streamText.slice(i, i + 7));
+}
+saxParser.end();
+console.log('SAX 事件数:', saxEvents.length, saxEvents.slice(0, 6).join(' → '));
+
+// selector 模式：每个用户解析完立即得到
+const userParser = new StreamingJSONParser({ selector: '$.users[*]' });
+userParser.on('match', (user, path) => console.log('匹配', JSON.stringify(path), user));
+streamText.match(/.{1,5}/g).forEach(chunk => userParser.feed(chunk));
+userParser.end();
+
+const idParser = new StreamingJSONParser({ selector: '$..id' });
+const ids = [];
+idParser.on('match', id => ids.push(id)).feed(streamText).end();
+console.log('$..id:', ids); // [1, 2]
+
+// NDJSON：多个顶层值，一行拆在两块里也没关系
+const ndjsonChunks = ['{"type":"message","text":"hi"}\n{"type":"ty', 'ping"}\n{"type":"pong"}\n'];
+(async () => {
+  const messages = [];
+  for await (const message of parseJSONStream(ndjsonChunks, { multiple: true })) {
+    messages.push(message.type);
+  }
+  console.log('NDJSON:', messages); // ['message', 'typing', 'pong']
+})();
+
+try {
+  new StreamingJSONParser().feed('[1, 2,').feed(']').end();
+} catch (error) {
+  console.log('流式解析错误:', error.message);
+}
+
 // 性能测试
 console.log('\n=== 性能测试 ===');
 const largeObj = {
@@ -685,3 +1185,14 @@ console.log('3. 转义字符 - 正确处理字符串中的特殊字符');
 console.log('4. 数字解析 - 支持整数、小数、科学计数法');
 console.log('5. 错误处理 - 提供详细的错误信息');
 console.log('6. 扩展功能 - replacer 和 reviver 函数支持');
+console.log('7. 流式解析 - 状态机 + 容器栈，支持分块输入、SAX 事件和 selector');
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    myJSONStringify,
+    myJSONParse,
+    myJSONStringifyAdvanced,
+    StreamingJSONParser,
+    parseJSONStream
+  };
+}
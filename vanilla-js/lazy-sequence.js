@@ -0,0 +1,470 @@
+/**
+ * 手写惰性序列 - 基于生成器的链式数据处理
+ *
+ * 核心原理：每个操作只是包一层生成器，直到 toArray / reduce / for...of 才真正拉取数据
+ * - 一次只处理一个元素，不产生中间数组，内存占用与数据量无关
+ * - take 拿够就停，上游生成器会被 return() 关闭，可以处理无限序列
+ * - 同步版本基于 function*，异步版本基于 async function*，API 相同
+ *
+ * lazy([1, 2, 3]).map(x => x * 2).filter(x => x > 2).toArray() // [4, 6]
+ * await lazy(asyncGenerator()).chunk(20).take(1).toArray()     // 异步版本返回 Promise
+ */
+
+const isIterable = (value) => value !== null && value !== undefined
+  && typeof value[Symbol.iterator] === 'function';
+
+const isAsyncIterable = (value) => value !== null && value !== undefined
+  && typeof value[Symbol.asyncIterator] === 'function';
+
+// 可以被展开的值：可迭代对象，但字符串除外（否则会被拆成单个字符）
+const isFlattenable = (value) => typeof value !== 'string' && isIterable(value);
+
+// 去重键：函数、字段名，默认元素本身；按 SameValueZero 比较（与 Set 一致）
+const resolveKey = (key) => {
+  if (key === undefined) return (item) => item;
+  if (typeof key === 'function') return key;
+  return (item) => item[key];
+};
+
+const assertFunction = (fn, name) => {
+  if (typeof fn !== 'function') {
+    throw new TypeError(`${name} expects a function`);
+  }
+};
+
+const assertCount = (n, name) => {
+  if (!(Number.isInteger(n) && n >= 0) && n !== Infinity) {
+    throw new RangeError(`${name} expects a non-negative integer`);
+  }
+};
+
+/**
+ * 1. 同步惰性序列
+ *
+ * source 必须可迭代；数组等可重复迭代的数据源得到的序列也可以重复使用，
+ * 生成器对象只能迭代一次
+ */
+class LazySequence {
+  constructor(source) {
+    if (!isIterable(source)) {
+      throw new TypeError('LazySequence expects an iterable');
+    }
+    this.source = source;
+  }
+
+  [Symbol.iterator]() {
+    return this.source[Symbol.iterator]();
+  }
+
+  // 基于当前序列创建新序列，generate 接收上游可迭代对象
+  pipe(generate) {
+    const upstream = this;
+    return new LazySequence({
+      [Symbol.iterator]: () => generate(upstream)
+    });
+  }
+
+  map(fn) {
+    assertFunction(fn, 'map');
+    return this.pipe(function* (source) {
+      let index = 0;
+      for (const item of source) {
+        yield fn(item, index++);
+      }
+    });
+  }
+
+  filter(fn) {
+    assertFunction(fn, 'filter');
+    return this.pipe(function* (source) {
+      let index = 0;
+      for (const item of source) {
+        if (fn(item, index++)) {
+          yield item;
+        }
+      }
+    });
+  }
+
+  // fn 返回可迭代对象时展开一层，否则原样产出（与 Array.prototype.flatMap 类似）
+  flatMap(fn) {
+    assertFunction(fn, 'flatMap');
+    return this.pipe(function* (source) {
+      let index = 0;
+      for (const item of source) {
+        const result = fn(item, index++);
+        if (isFlattenable(result)) {
+          yield* result;
+        } else {
+          yield result;
+        }
+      }
+    });
+  }
+
+  // 展开嵌套的可迭代对象，思路同 array-flatten.js 的 flattenGenerator，多了深度控制
+  flatten(depth = 1) {
+    const flattenDeep = function* (source, currentDepth) {
+      for (const item of source) {
+        if (currentDepth > 0 && isFlattenable(item)) {
+          yield* flattenDeep(item, currentDepth - 1);
+        } else {
+          yield item;
+        }
+      }
+    };
+    return this.pipe((source) => flattenDeep(source, depth));
+  }
+
+  uniqueBy(key) {
+    const selectKey = resolveKey(key);
+    return this.pipe(function* (source) {
+      const seen = new Set();
+      let index = 0;
+      for (const item of source) {
+        const itemKey = selectKey(item, index++);
+        if (!seen.has(itemKey)) {
+          seen.add(itemKey);
+          yield item;
+        }
+      }
+    });
+  }
+
+  take(n) {
+    assertCount(n, 'take');
+    return this.pipe(function* (source) {
+      if (n === 0) return;
+      let count = 0;
+      for (const item of source) {
+        yield item;
+        // 拿够立即退出循环，for...of 会调用上游的 return() 释放资源
+        if (++count >= n) return;
+      }
+    });
+  }
+
+  chunk(size) {
+    if (!(Number.isInteger(size) && size > 0)) {
+      throw new RangeError('chunk expects a positive integer');
+    }
+    return this.pipe(function* (source) {
+      let batch = [];
+      for (const item of source) {
+        batch.push(item);
+        if (batch.length === size) {
+          yield batch;
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        yield batch;
+      }
+    });
+  }
+
+  // 与其他可迭代对象按位置组合，最短的一个结束即结束
+  zip(...others) {
+    others.forEach((other) => {
+      if (!isIterable(other)) {
+        throw new TypeError('zip expects iterables');
+      }
+    });
+    return this.pipe(function* (source) {
+      const iterators = [source, ...others].map((iterable) => iterable[Symbol.iterator]());
+      try {
+        while (true) {
+          const tuple = [];
+          for (const iterator of iterators) {
+            const step = iterator.next();
+            if (step.done) return;
+            tuple.push(step.value);
+          }
+          yield tuple;
+        }
+      } finally {
+        // 提前结束时关闭所有迭代器（已结束的调用 return 也没有副作用）
+        iterators.forEach((iterator) => iterator.return && iterator.return());
+      }
+    });
+  }
+
+  // 终止操作：语义与 Array.prototype.reduce 一致
+  reduce(fn, ...initial) {
+    assertFunction(fn, 'reduce');
+    let hasAccumulator = initial.length > 0;
+    let accumulator = initial[0];
+    let index = 0;
+    for (const item of this) {
+      if (hasAccumulator) {
+        accumulator = fn(accumulator, item, index);
+      } else {
+        accumulator = item;
+        hasAccumulator = true;
+      }
+      index++;
+    }
+    if (!hasAccumulator) {
+      throw new TypeError('Reduce of empty sequence with no initial value');
+    }
+    return accumulator;
+  }
+
+  forEach(fn) {
+    assertFunction(fn, 'forEach');
+    let index = 0;
+    for (const item of this) {
+      fn(item, index++);
+    }
+  }
+
+  toArray() {
+    return [...this];
+  }
+}
+
+/**
+ * 2. 异步惰性序列
+ *
+ * source 可以是异步可迭代对象（async 生成器、流），也可以是同步可迭代对象
+ * 回调可以返回 promise，会等待结果再继续，保持元素顺序
+ */
+class AsyncLazySequence {
+  constructor(source) {
+    if (!isAsyncIterable(source) && !isIterable(source)) {
+      throw new TypeError('AsyncLazySequence expects an iterable or async iterable');
+    }
+    this.source = source;
+  }
+
+  [Symbol.asyncIterator]() {
+    if (isAsyncIterable(this.source)) {
+      return this.source[Symbol.asyncIterator]();
+    }
+    // 同步数据源：for await 逐个等待元素（元素可以是 promise）
+    const source = this.source;
+    return (async function* () {
+      for (const item of source) {
+        yield await item;
+      }
+    })();
+  }
+
+  pipe(generate) {
+    const upstream = this;
+    return new AsyncLazySequence({
+      [Symbol.asyncIterator]: () => generate(upstream)
+    });
+  }
+
+  map(fn) {
+    assertFunction(fn, 'map');
+    return this.pipe(async function* (source) {
+      let index = 0;
+      for await (const item of source) {
+        yield await fn(item, index++);
+      }
+    });
+  }
+
+  filter(fn) {
+    assertFunction(fn, 'filter');
+    return this.pipe(async function* (source) {
+      let index = 0;
+      for await (const item of source) {
+        if (await fn(item, index++)) {
+          yield item;
+        }
+      }
+    });
+  }
+
+  flatMap(fn) {
+    assertFunction(fn, 'flatMap');
+    return this.pipe(async function* (source) {
+      let index = 0;
+      for await (const item of source) {
+        const result = await fn(item, index++);
+        if (isAsyncIterable(result) || isFlattenable(result)) {
+          yield* result;
+        } else {
+          yield result;
+        }
+      }
+    });
+  }
+
+  flatten(depth = 1) {
+    const flattenDeep = async function* (source, currentDepth) {
+      for await (const item of source) {
+        if (currentDepth > 0 && (isAsyncIterable(item) || isFlattenable(item))) {
+          yield* flattenDeep(item, currentDepth - 1);
+        } else {
+          yield item;
+        }
+      }
+    };
+    return this.pipe((source) => flattenDeep(source, depth));
+  }
+
+  uniqueBy(key) {
+    const selectKey = resolveKey(key);
+    return this.pipe(async function* (source) {
+      const seen = new Set();
+      let index = 0;
+      for await (const item of source) {
+        const itemKey = await selectKey(item, index++);
+        if (!seen.has(itemKey)) {
+          seen.add(itemKey);
+          yield item;
+        }
+      }
+    });
+  }
+
+  take(n) {
+    assertCount(n, 'take');
+    return this.pipe(async function* (source) {
+      if (n === 0) return;
+      let count = 0;
+      for await (const item of source) {
+        yield item;
+        if (++count >= n) return;
+      }
+    });
+  }
+
+  chunk(size) {
+    if (!(Number.isInteger(size) && size > 0)) {
+      throw new RangeError('chunk expects a positive integer');
+    }
+    return this.pipe(async function* (source) {
+      let batch = [];
+      for await (const item of source) {
+        batch.push(item);
+        if (batch.length === size) {
+          yield batch;
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        yield batch;
+      }
+    });
+  }
+
+  // 各数据源并行拉取下一个元素，最短的一个结束即结束
+  zip(...others) {
+    others.forEach((other) => {
+      if (!isAsyncIterable(other) && !isIterable(other)) {
+        throw new TypeError('zip expects iterables or async iterables');
+      }
+    });
+    return this.pipe(async function* (source) {
+      const iterators = [source, ...others].map((iterable) => new AsyncLazySequence(iterable)[Symbol.asyncIterator]());
+      try {
+        while (true) {
+          const steps = await Promise.all(iterators.map((iterator) => iterator.next()));
+          if (steps.some((step) => step.done)) return;
+          yield steps.map((step) => step.value);
+        }
+      } finally {
+        await Promise.all(iterators.map((iterator) => iterator.return && iterator.return()));
+      }
+    });
+  }
+
+  async reduce(fn, ...initial) {
+    assertFunction(fn, 'reduce');
+    let hasAccumulator = initial.length > 0;
+    let accumulator = initial[0];
+    let index = 0;
+    for await (const item of this) {
+      if (hasAccumulator) {
+        accumulator = await fn(accumulator, item, index);
+      } else {
+        accumulator = item;
+        hasAccumulator = true;
+      }
+      index++;
+    }
+    if (!hasAccumulator) {
+      throw new TypeError('Reduce of empty sequence with no initial value');
+    }
+    return accumulator;
+  }
+
+  async forEach(fn) {
+    assertFunction(fn, 'forEach');
+    let index = 0;
+    for await (const item of this) {
+      await fn(item, index++);
+    }
+  }
+
+  async toArray() {
+    const result = [];
+    for await (const item of this) {
+      result.push(item);
+    }
+    return result;
+  }
+}
+
+/**
+ * 3. 入口：异步可迭代对象得到 AsyncLazySequence，其他得到 LazySequence
+ * 同步数据源也想用异步回调时，用 lazy.async(source)
+ */
+const lazy = (source) => (isAsyncIterable(source)
+  ? new AsyncLazySequence(source)
+  : new LazySequence(source));
+
+lazy.async = (source) => new AsyncLazySequence(source);
+
+// 数字序列 [start, end)，end 默认 Infinity
+lazy.range = (start = 0, end = Infinity, step = 1) => {
+  if (step === 0) {
+    throw new RangeError('range step cannot be 0');
+  }
+  return new LazySequence({
+    * [Symbol.iterator]() {
+      for (let i = start; step > 0 ? i < end : i > end; i += step) {
+        yield i;
+      }
+    }
+  });
+};
+
+// ===== 使用示例 =====
+
+// 无限序列：只计算需要的前 5 个
+const squares = lazy.range(1)
+  .map((n) => n * n)
+  .filter((n) => n % 2 === 1)
+  .take(5);
+console.log('奇数平方:', squares.toArray()); // [1, 9, 25, 49, 81]
+
+console.log('flatten:', lazy([1, [2, [3, [4]]]]).flatten(2).toArray()); // [1, 2, 3, [4]]
+console.log('zip:', lazy(['a', 'b', 'c']).zip(lazy.range(1), new Set([true, false])).toArray());
+console.log('chunk + reduce:', lazy.range(0, 10).chunk(4).map((batch) => batch.length).reduce((a, b) => a + b)); // 10
+
+// 异步分页数据源：按需请求，拿够就不再请求后面的页
+async function* fetchPages() {
+  for (let page = 1; ; page++) {
+    console.log(`  请求第 ${page} 页`);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    yield Array.from({ length: 3 }, (_, i) => ({ id: (page - 1) * 3 + i, tag: i % 2 ? 'odd' : 'even' }));
+  }
+}
+
+lazy(fetchPages())
+  .flatten()
+  .filter(async (item) => item.tag === 'even')
+  .map((item) => item.id)
+  .take(4)
+  .toArray()
+  .then((ids) => console.log('异步分页:', ids)); // [0, 2, 3, 5]，只请求了 2 页
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { lazy, LazySequence, AsyncLazySequence };
+}
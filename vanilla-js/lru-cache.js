@@ -159,10 +159,12 @@ class LRUCacheAdvanced {
 }
 
 // 3. 支持过期时间的 LRU 缓存
+// 依赖 clock.js（systemClock），测试时可通过 options.clock 注入 createFakeClock()
 class LRUCacheWithExpiry {
-  constructor(capacity, defaultTTL = null) {
+  constructor(capacity, defaultTTL = null, options = {}) {
     this.capacity = capacity;
     this.defaultTTL = defaultTTL; // 默认过期时间（毫秒）
+    this.clock = options.clock || (typeof systemClock !== 'undefined' ? systemClock : require('./clock.js').systemClock); // 时钟
     this.cache = new Map();
     this.timers = new Map(); // 存储过期定时器
   }
@@ -175,7 +177,7 @@ class LRUCacheWithExpiry {
     const item = this.cache.get(key);
     
     // 检查是否过期
-    if (item.expiry && Date.now() > item.expiry) {
+    if (item.expiry && this.clock.now() > item.expiry) {
       this.delete(key);
       return -1;
     }
@@ -199,14 +201,14 @@ class LRUCacheWithExpiry {
     }
 
     // 计算过期时间
-    const expiry = ttl ? Date.now() + ttl : null;
+    const expiry = ttl ? this.clock.now() + ttl : null;
     const item = { value, expiry };
 
     this.cache.set(key, item);
 
     // 设置过期定时器
     if (ttl) {
-      const timer = setTimeout(() => {
+      const timer = this.clock.setTimeout(() => {
         this.delete(key);
       }, ttl);
       this.timers.set(key, timer);
@@ -218,14 +220,14 @@ class LRUCacheWithExpiry {
     
     // 清除定时器
     if (this.timers.has(key)) {
-      clearTimeout(this.timers.get(key));
+      this.clock.clearTimeout(this.timers.get(key));
       this.timers.delete(key);
     }
   }
 
   // 清理过期项
   cleanup() {
-    const now = Date.now();
+    const now = this.clock.now();
     const expiredKeys = [];
 
     for (const [key, item] of this.cache) {
@@ -13,25 +13,71 @@
  * 
  * 原型链查找机制：
  * obj.method() → obj自身 → obj.__proto__ → Constructor.prototype → Object.prototype → null
+ * 
+ * 上面的步骤只适用于 ES5 普通函数，constructor.apply(obj, args) 有三个问题：
+ * - class 构造函数不能不带 new 调用，apply 直接抛错
+ * - 派生类（extends）的 this 由父类构造函数创建，不能提前 Object.create
+ * - 构造函数内拿不到 new.target，Array/Error/Map 的子类也拿不到内部插槽
+ * 所以完整实现基于 Reflect.construct，它就是规范里的 [[Construct]]
  */
 
-// 基础版本 - 核心实现
-function myNew(constructor, ...args) {
-  // 1. 参数校验：确保传入的是构造函数
-  if (typeof constructor !== 'function') {
-    throw new TypeError(`${constructor} is not a constructor`);
+/**
+ * 判断是否是构造函数（有 [[Construct]] 内部方法）
+ * 
+ * 技巧：Reflect.construct 会先校验 newTarget 是否是构造函数，
+ * 用 String 作为目标不会执行 value 本身，没有副作用
+ * 可以正确区分：箭头函数、async 函数、generator、方法简写（不是构造函数）
+ * 和 bind 返回的函数（原函数是构造函数时也是构造函数）
+ */
+function isConstructor(value) {
+  if (typeof value !== 'function') {
+    return false;
   }
+  try {
+    Reflect.construct(String, [], value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
 
-  // 2. 创建新对象并设置原型链 - 继承的灵魂
-  // Object.create() 等价于：obj.__proto__ = constructor.prototype
-  const obj = Object.create(constructor.prototype);
-  
-  // 3. 执行构造函数，将 this 绑定到新对象
-  const result = constructor.apply(obj, args);
+// 与引擎一致的错误信息：xxx is not a constructor
+function notConstructorError(value) {
+  const name = typeof value === 'function'
+    ? (value.name || 'anonymous')
+    : typeof value === 'string' ? `"${value}"` : String(value);
+  return new TypeError(`${name} is not a constructor`);
+}
+
+/**
+ * 构造辅助函数 - 对齐 Reflect.construct(target, args, newTarget)
+ * 
+ * @param {Function} target 构造函数
+ * @param {Array} args 参数列表（数组或类数组）
+ * @param {Function} newTarget 构造函数内的 new.target，决定实例原型，默认为 target
+ * @returns {Object} 新实例
+ */
+function myConstruct(target, args = [], newTarget = target) {
+  // 1. 参数校验：target 和 newTarget 都必须是构造函数
+  if (!isConstructor(target)) {
+    throw notConstructorError(target);
+  }
+  if (!isConstructor(newTarget)) {
+    throw notConstructorError(newTarget);
+  }
+  if (args === null || (typeof args !== 'object' && typeof args !== 'function')) {
+    throw new TypeError('CreateListFromArrayLike called on non-object');
+  }
   
-  // 4. 返回值判断 - 只有对象类型才会覆盖实例
-  // 优雅写法：利用 ?? 操作符和对象判断函数
-  return isObjectType(result) ? result : obj;
+  // 2~4. 创建对象、设置原型（取 newTarget.prototype）、执行构造函数、判断返回值
+  // 都由 [[Construct]] 完成：普通函数按上面四步执行，派生类由父类创建 this，
+  // 内置构造函数创建带内部插槽的对象（如数组的 length、Map 的存储）
+  return Reflect.construct(target, Array.from(args), newTarget);
+}
+
+// 基础版本 - 核心实现
+function myNew(constructor, ...args) {
+  return myConstruct(constructor, args);
 }
 
 // 更优雅的对象类型判断函数
@@ -43,12 +89,14 @@ function isObjectType(value) {
 
 // 教学版本 - 展示原型设置的多种方式
 function myNewEducational(constructor, ...args) {
-  // 1. 类型检查
-  if (typeof constructor !== 'function') {
-    throw new TypeError(`${constructor} is not a constructor`);
+  // 1. 类型检查：与 myNew 相同，看是否有 [[Construct]]
+  // 箭头函数、async 函数、generator 在这里就报 "xxx is not a constructor"，不会走到 Object.create
+  if (!isConstructor(constructor)) {
+    throw notConstructorError(constructor);
   }
 
   // 2. 创建新对象的三种方式对比（性能从高到低）
+  // 只用来演示原型设置，真正的实例由 [[Construct]] 创建
   console.log('=== 原型设置方式对比 ===');
   
   // 方式1: Object.create() - 推荐，性能最佳
@@ -64,47 +112,40 @@ function myNewEducational(constructor, ...args) {
   const obj3 = {};
   Object.setPrototypeOf(obj3, constructor.prototype);
   console.log('setPrototypeOf():', obj3.__proto__ === constructor.prototype);
-  
-  // 使用推荐方式
-  const obj = obj1;
 
   // 3. 执行构造函数 - 异常处理
+  // 经典写法 constructor.apply(obj1, args) 只是示意：构造函数里拿不到 new.target，
+  // class、派生类、内置构造函数也无法这样调用，所以统一使用 Reflect.construct
   let result;
   try {
-    result = constructor.apply(obj, args);
+    result = Reflect.construct(constructor, args);
   } catch (error) {
     // 构造函数异常应该正确传播，不返回半成品对象
     console.log('构造函数执行异常:', error.message);
     throw error;
   }
 
-  // 4. 返回值判断 - 使用专门的判断函数
-  console.log('构造函数返回值:', result, '类型:', typeof result);
-  return isObjectType(result) ? result : obj;
+  // 4. 返回值判断：[[Construct]] 已经处理过——返回对象时用它，否则用新创建的实例
+  const isDefaultInstance = Object.getPrototypeOf(result) === constructor.prototype;
+  console.log('构造函数返回值:', result, isDefaultInstance ? '（新创建的实例）' : '（构造函数返回的对象）');
+  return result;
 }
 
 // 高级版本 - 支持箭头函数检测和边界情况处理
 function myNewAdvanced(constructor, ...args) {
-  if (typeof constructor !== 'function') {
-    throw new TypeError(`${constructor} is not a constructor`);
-  }
-
-  // 核心判断：函数必须有 prototype 属性才能作为构造函数
-  // 这个判断会自动排除：箭头函数、Method简写、Class方法、bind函数、async函数等
-  // 不是因为它们的类型，而是因为它们没有构造能力（无 prototype）
-  if (!('prototype' in constructor)) {
-    throw new TypeError(`${constructor.name || 'Anonymous'} is not a constructor`);
+  // 核心判断：是否有 [[Construct]] 内部方法，而不是看有没有 prototype 属性
+  // - 箭头函数、方法简写、async 函数：没有 prototype，也不能 new
+  // - generator 函数：有 prototype，但不能 new
+  // - bind 返回的函数：没有 prototype，但原函数能 new 时它也能 new
+  if (!isConstructor(constructor)) {
+    throw notConstructorError(constructor);
   }
 
   // 注意：不需要排除内置构造函数！
   // String, Number, Array 等都是合法的构造函数
-  // 只有 Math, JSON, Symbol, BigInt 等没有 prototype 或有特殊行为
+  // Symbol、BigInt 虽然是构造函数，但会在 [[Construct]] 内部抛错，与原生一致
 
-  const obj = Object.create(constructor.prototype);
-  const result = constructor.apply(obj, args);
-  
-  // 使用统一的对象类型判断
-  return isObjectType(result) ? result : obj;
+  return Reflect.construct(constructor, args);
 }
 
 // 更多优雅的返回值判断方式
@@ -128,8 +169,7 @@ const isObjectTypeAlternatives = {
   }
 };
 
-// 推荐使用：基础版本，性能好且逻辑清晰
-const isObjectType = isObjectTypeAlternatives.basic;
+// 推荐使用：基础版本（即上面的 isObjectType 函数），性能好且逻辑清晰
 
 // ===== 面试测试用例 =====
 
@@ -161,7 +201,7 @@ const ArrowFunction = (name) => {
   this.name = name;
 };
 
-// bind 返回的函数（应该报错）
+// bind 返回的函数（原函数是构造函数，可以 new，绑定的 this 被忽略）
 const BoundFunction = function(name) {
   this.name = name;
 }.bind({});
@@ -204,11 +244,8 @@ try {
   console.log('箭头函数错误:', e.message);
 }
 
-try {
-  myNew(BoundFunction, 'Eve');
-} catch (e) {
-  console.log('bind函数错误:', e.message);
-}
+const bound = myNew(BoundFunction, 'Eve');
+console.log('bind函数可以构造:', bound.name);
 
 // 测试内置构造函数（应该成功）
 console.log('\n6. 内置构造函数测试（应该成功）:');
@@ -226,3 +263,70 @@ const custom = myNew(Person, 'Custom', 30);
 console.log('原生 new:', native);
 console.log('自定义 myNew:', custom);
 console.log('结构相同:', JSON.stringify(native) === JSON.stringify(custom));
+
+// 7. 与原生 new 的对照矩阵
+console.log('\n7. 与原生 new 对照:');
+
+class Animal {
+  constructor(name) {
+    this.name = name;
+    this.target = new.target.name;
+  }
+}
+class Dog extends Animal {}
+class MyArray extends Array {}
+class MyError extends Error {}
+class MyMap extends Map {}
+function NeedsNew() {
+  if (!new.target) throw new TypeError('NeedsNew must be called with new');
+  this.ok = true;
+}
+
+const matrix = {
+  'ES5 函数': [Person, 'Alice', 25],
+  'class': [Animal, 'cat'],
+  '派生类 new.target': [Dog, 'dog'],
+  'Array 子类': [MyArray, 1, 2, 3],
+  'Error 子类': [MyError, 'oops'],
+  'Map 子类': [MyMap, [['a', 1]]],
+  '检查 new.target 的函数': [NeedsNew],
+  'bind 函数': [BoundFunction, 'Eve'],
+  'bind 箭头函数': [ArrowFunction.bind(null)],
+  '箭头函数': [ArrowFunction],
+  'async 函数': [async function asyncFn() {}],
+  'generator 函数': [function* gen() {}],
+  '方法简写': [{ method() {} }.method],
+  'Symbol': [Symbol]
+};
+
+const describe = (fn) => {
+  try {
+    const value = fn();
+    return `${Object.getPrototypeOf(value).constructor.name} ${JSON.stringify(value)}`
+      + (value instanceof Array ? ` length=${value.length}` : '')
+      + (value instanceof Map ? ` size=${value.size}` : '')
+      + (value instanceof Error ? ` message=${value.message}` : '');
+  } catch (e) {
+    return `${e.constructor.name}: ${e.message}`;
+  }
+};
+
+// 原生报错信息用的是源码里的表达式（如 new Ctor() 报 "Ctor is not a constructor"），只比较错误类型
+const errorType = (result) => result.replace(/^(\w+Error): .*$/, '$1');
+
+Object.entries(matrix).forEach(([label, [Ctor, ...args]]) => {
+  const nativeResult = describe(() => new Ctor(...args));
+  const customResult = describe(() => myNew(Ctor, ...args));
+  const same = errorType(nativeResult) === errorType(customResult);
+  console.log(`${label}: ${same ? '一致' : '不一致'}`, customResult);
+});
+
+// 教学版与 myNew 的校验和执行方式一致（教学版会打印中间步骤）
+['检查 new.target 的函数', '箭头函数', 'async 函数', 'generator 函数'].forEach((label) => {
+  const [Ctor, ...args] = matrix[label];
+  console.log(`教学版 ${label}:`, describe(() => myNewEducational(Ctor, ...args)));
+});
+
+// new.target 可以指定为其他构造函数（Reflect.construct 的第三个参数）
+const withNewTarget = myConstruct(Animal, ['tiger'], Dog);
+console.log('指定 new.target:', withNewTarget instanceof Dog, withNewTarget.target); // true 'Dog'
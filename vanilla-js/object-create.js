@@ -6,6 +6,11 @@
  * 可选的第二个参数是属性描述符对象
  */
 
+// 原型链工具：浏览器中需先引入 prototype-chain.js
+if (typeof getPrototypeChain === 'undefined' && typeof require === 'function') {
+  var { getPrototypeChain, formatPrototypeChain } = require('./prototype-chain.js');
+}
+
 // 1. 基础版本
 function myCreate(proto) {
   // 参数验证
@@ -119,4 +124,15 @@ function Person(name, age) {
 const obj1 = Object.create(Person.prototype);
 const obj2 = myCreate(Person.prototype);
 
-console.log(obj1, obj2);
\ No newline at end of file
+console.log(obj1, obj2);
+
+// 各版本创建出的原型链应与 Object.create 一致
+const chainNames = (obj) => getPrototypeChain(obj).map((link) => link.name).join(' → ');
+const expected = chainNames(Object.create(Person.prototype));
+[myCreate, myCreateAdvanced, myCreateSafe, myCreatePolyfill].forEach((create) => {
+  const actual = chainNames(create(Person.prototype));
+  console.log(`${create.name}: ${actual === expected ? '一致' : '不一致'} ${actual}`);
+});
+
+// Object.create(null) 没有原型，也就没有 toString 等方法
+console.log(formatPrototypeChain(myCreateSafe(null, { id: { value: 1, enumerable: true } })));
\ No newline at end of file
@@ -0,0 +1,391 @@
+/**
+ * 手写 Promise 并发工具 - 基于 MyPromise
+ *
+ * - pLimit：并发限制器，超出并发数的任务排队等待
+ * - pMap：带并发控制的 map
+ * - pRetry：失败重试，支持固定 / 线性 / 指数退避
+ * - PQueue：优先级队列，支持暂停 / 恢复
+ *
+ * 依赖 promise.js（MyPromise、AggregateErrorImpl、createAbortError）和 clock.js（systemClock），浏览器中需先引入
+ */
+const PromiseImpl = typeof MyPromise !== 'undefined'
+  ? MyPromise
+  : require('./promise.js').MyPromise;
+
+// 没有原生 AggregateError 的环境使用 promise.js 里的兜底实现
+const AggregateErrorCtor = typeof AggregateErrorImpl !== 'undefined'
+  ? AggregateErrorImpl
+  : require('./promise.js').AggregateErrorImpl;
+
+const makeAbortError = typeof createAbortError !== 'undefined'
+  ? createAbortError
+  : require('./promise.js').createAbortError;
+
+// 可取消的延时
+const delay = (ms, clock) => new PromiseImpl((resolve, reject, onCancel) => {
+  const timer = clock.setTimeout(resolve, ms);
+  onCancel(() => clock.clearTimeout(timer));
+});
+
+const assertConcurrency = (concurrency) => {
+  if (!((Number.isInteger(concurrency) || concurrency === Infinity) && concurrency > 0)) {
+    throw new TypeError('Expected `concurrency` to be a number from 1 and up');
+  }
+};
+
+/**
+ * 1. 并发限制器
+ *
+ * 核心原理：维护运行数 activeCount 和等待队列
+ * - 运行数未满：直接执行
+ * - 运行数已满：入队，有任务完成时从队头取出执行
+ *
+ * @param {number} concurrency 最大并发数
+ * @returns {Function} limit(fn, ...args) => MyPromise
+ */
+const pLimit = (concurrency) => {
+  assertConcurrency(concurrency);
+  const queue = [];
+  let activeCount = 0;
+
+  const next = () => {
+    activeCount--;
+    if (queue.length > 0) {
+      queue.shift().start();
+    }
+  };
+
+  const run = (fn, args, resolve) => {
+    activeCount++;
+    // fn 同步抛错也要转成失败，并且保证 next 一定被调用
+    const result = PromiseImpl.try(fn, ...args);
+    resolve(result);
+    result.then(next, next);
+  };
+
+  const limit = (fn, ...args) => new PromiseImpl((resolve, reject) => {
+    if (activeCount < concurrency) {
+      run(fn, args, resolve);
+    } else {
+      queue.push({ start: () => run(fn, args, resolve), reject });
+    }
+  });
+
+  Object.defineProperties(limit, {
+    activeCount: { get: () => activeCount },
+    pendingCount: { get: () => queue.length }
+  });
+
+  // 清空等待中的任务（已经在运行的不受影响），被清掉的任务以 AbortError 失败，不会永远 pending
+  limit.clearQueue = () => {
+    const dropped = queue.splice(0);
+    dropped.forEach((task) => task.reject(makeAbortError('Queue was cleared')));
+  };
+
+  return limit;
+};
+
+/**
+ * 2. 并发 map
+ *
+ * @param {Iterable} iterable 输入，可以是任意可迭代对象，元素可以是 promise
+ * @param {Function} mapper (item, index) => value | promise
+ * @param {Object} options 配置选项
+ * @param {number} options.concurrency 最大并发数，默认不限制
+ * @param {boolean} options.stopOnError 遇错立即失败，默认 true；false 时全部完成后以 AggregateError 失败
+ * @returns {MyPromise<Array>} 结果顺序与输入一致
+ */
+const pMap = (iterable, mapper, options = {}) => {
+  const { concurrency = Infinity, stopOnError = true } = options;
+
+  return new PromiseImpl((resolve, reject) => {
+    assertConcurrency(concurrency);
+    if (typeof mapper !== 'function') {
+      throw new TypeError('Mapper function is required');
+    }
+
+    const iterator = iterable[Symbol.iterator]();
+    const result = [];
+    const errors = [];
+    let index = 0;
+    let activeCount = 0;
+    let done = false; // 迭代器是否耗尽
+    let stopped = false; // 是否已失败
+
+    const fail = (error) => {
+      stopped = true;
+      reject(error);
+    };
+
+    const next = () => {
+      if (stopped) return;
+
+      let step;
+      try {
+        step = iterator.next();
+      } catch (e) {
+        return fail(e);
+      }
+
+      if (step.done) {
+        done = true;
+        if (activeCount === 0) {
+          if (errors.length > 0) {
+            fail(new AggregateErrorCtor(errors, 'Some mappers failed'));
+          } else {
+            resolve(result);
+          }
+        }
+        return;
+      }
+
+      const i = index++;
+      activeCount++;
+      PromiseImpl.resolve(step.value)
+        .then((item) => mapper(item, i))
+        .then((value) => {
+          result[i] = value;
+          activeCount--;
+          next();
+        }, (error) => {
+          if (stopOnError) {
+            return fail(error);
+          }
+          errors.push(error);
+          activeCount--;
+          next();
+        });
+    };
+
+    // 先启动 concurrency 个任务，之后每完成一个补一个
+    for (let i = 0; i < concurrency && !done && !stopped; i++) {
+      next();
+    }
+  });
+};
+
+// 退避策略：attempt 从 1 开始，返回第 attempt 次重试前的等待时间
+const backoffStrategies = {
+  fixed: (attempt, base) => base,
+  linear: (attempt, base) => base * attempt,
+  exponential: (attempt, base, factor) => base * Math.pow(factor, attempt - 1)
+};
+
+/**
+ * 3. 失败重试
+ *
+ * @param {Function} fn (attempt) => value | promise，attempt 从 1 开始
+ * @param {Object} options 配置选项
+ * @param {number} options.retries 最大重试次数，默认 3（总共最多执行 retries + 1 次）
+ * @param {string|Function} options.strategy 退避策略 fixed / linear / exponential，或 (attempt) => ms，默认 exponential
+ * @param {number} options.delay 基础等待时间，默认 1000ms
+ * @param {number} options.factor 指数退避的倍数，默认 2
+ * @param {number} options.maxDelay 等待时间上限，默认不限制
+ * @param {boolean} options.jitter 是否加入随机抖动（0.5 ~ 1 倍），避免大量请求同时重试，默认 false
+ * @param {Function} options.shouldRetry (error, attempt) => boolean，返回 false 直接失败
+ * @param {Function} options.onRetry (error, attempt, wait) => void，每次重试前调用
+ * @param {AbortSignal} options.signal 中止信号
+ * @param {Object} options.clock 时钟，默认 systemClock，测试时可注入 createFakeClock()
+ * @returns {MyPromise}
+ */
+const pRetry = (fn, options = {}) => {
+  const {
+    retries = 3,
+    strategy = 'exponential',
+    delay: baseDelay = 1000,
+    factor = 2,
+    maxDelay = Infinity,
+    jitter = false,
+    shouldRetry = () => true,
+    onRetry = () => {},
+    signal,
+    clock = typeof systemClock !== 'undefined' ? systemClock : require('./clock.js').systemClock
+  } = options;
+
+  const getDelay = typeof strategy === 'function' ? strategy : backoffStrategies[strategy];
+  if (!getDelay) {
+    throw new TypeError(`Unknown retry strategy: ${strategy}`);
+  }
+
+  return new PromiseImpl((resolve, reject, onCancel) => {
+    let current = null; // 当前的执行或等待，取消时一并取消
+    onCancel((reason) => current && current.cancel && current.cancel(reason));
+
+    const attempt = (n) => {
+      current = PromiseImpl.try(fn, n);
+      current.then(resolve, (error) => {
+        // 已被取消或中止的不再重试
+        if (signal && signal.aborted) return;
+        if (error && error.name === 'AbortError') return reject(error);
+
+        // shouldRetry / strategy / onRetry 抛错时直接以该错误失败，不能让外层 promise 永远 pending
+        try {
+          if (n > retries || !shouldRetry(error, n)) return reject(error);
+
+          let wait = Math.min(getDelay(n, baseDelay, factor), maxDelay);
+          if (jitter) {
+            wait = wait * (0.5 + Math.random() * 0.5);
+          }
+          onRetry(error, n, wait);
+          current = delay(wait, clock);
+          current.then(() => attempt(n + 1), () => {});
+        } catch (hookError) {
+          reject(hookError);
+        }
+      });
+    };
+
+    attempt(1);
+  }, { signal });
+};
+
+/**
+ * 4. 优先级队列
+ *
+ * 核心原理：按 priority 从大到小出队，同优先级先进先出
+ * - concurrency 控制同时运行的任务数
+ * - pause 后不再启动新任务，正在运行的不受影响
+ */
+class PQueue {
+  #queue = []; // { run, priority }，按优先级降序
+  #pending = 0; // 运行中的任务数
+  #paused = false;
+  #idleResolvers = [];
+
+  /**
+   * @param {Object} options 配置选项
+   * @param {number} options.concurrency 最大并发数，默认 1
+   * @param {boolean} options.autoStart 是否自动开始，默认 true
+   */
+  constructor(options = {}) {
+    const { concurrency = 1, autoStart = true } = options;
+    assertConcurrency(concurrency);
+    this.concurrency = concurrency;
+    this.#paused = !autoStart;
+  }
+
+  // 等待中的任务数
+  get size() {
+    return this.#queue.length;
+  }
+
+  // 运行中的任务数
+  get pending() {
+    return this.#pending;
+  }
+
+  get isPaused() {
+    return this.#paused;
+  }
+
+  /**
+   * 添加任务
+   * @param {Function} fn 任务函数，返回值或 promise
+   * @param {Object} options 配置选项
+   * @param {number} options.priority 优先级，越大越先执行，默认 0
+   * @returns {MyPromise} 任务结果
+   */
+  add(fn, options = {}) {
+    const { priority = 0 } = options;
+    return new PromiseImpl((resolve, reject) => {
+      const run = () => {
+        this.#pending++;
+        PromiseImpl.try(fn).then(resolve, reject).finally(() => {
+          this.#pending--;
+          this.#next();
+        });
+      };
+
+      // 找到第一个优先级更低的位置插入，保证同优先级先进先出
+      const index = this.#queue.findIndex((item) => item.priority < priority);
+      const item = { run, priority };
+      if (index === -1) {
+        this.#queue.push(item);
+      } else {
+        this.#queue.splice(index, 0, item);
+      }
+      this.#next();
+    });
+  }
+
+  addAll(fns, options) {
+    return PromiseImpl.all(fns.map((fn) => this.add(fn, options)));
+  }
+
+  pause() {
+    this.#paused = true;
+  }
+
+  start() {
+    if (!this.#paused) return;
+    this.#paused = false;
+    this.#next();
+  }
+
+  // 清空等待中的任务
+  clear() {
+    this.#queue = [];
+  }
+
+  // 队列为空且没有运行中的任务时完成
+  onIdle() {
+    if (this.#queue.length === 0 && this.#pending === 0) {
+      return PromiseImpl.resolve();
+    }
+    return new PromiseImpl((resolve) => {
+      this.#idleResolvers.push(resolve);
+    });
+  }
+
+  #next() {
+    while (!this.#paused && this.#pending < this.concurrency && this.#queue.length > 0) {
+      this.#queue.shift().run();
+    }
+    if (this.#queue.length === 0 && this.#pending === 0) {
+      const resolvers = this.#idleResolvers;
+      this.#idleResolvers = [];
+      resolvers.forEach((resolve) => resolve());
+    }
+  }
+}
+
+// ===== 使用示例 =====
+
+const fakeRequest = (id, ms = 100) => new PromiseImpl((resolve) => {
+  setTimeout(() => resolve(`result-${id}`), ms);
+});
+
+// 最多同时 2 个请求
+const limit = pLimit(2);
+PromiseImpl.all([1, 2, 3, 4, 5].map((id) => limit(fakeRequest, id))).then((result) => {
+  console.log('pLimit:', result);
+});
+
+// 并发 map，结果顺序与输入一致
+pMap(new Set([300, 100, 200]), (ms) => fakeRequest(ms, ms), { concurrency: 2 }).then((result) => {
+  console.log('pMap:', result);
+});
+
+// 前两次失败，第三次成功
+let times = 0;
+pRetry(() => {
+  times++;
+  if (times < 3) throw new Error(`fail ${times}`);
+  return 'ok';
+}, {
+  retries: 3,
+  delay: 50,
+  onRetry: (error, attempt, wait) => console.log(`pRetry: 第 ${attempt} 次失败，${wait}ms 后重试`)
+}).then((result) => console.log('pRetry:', result));
+
+// 优先级队列，先暂停再恢复
+const queue = new PQueue({ concurrency: 1, autoStart: false });
+queue.add(() => console.log('PQueue: low'), { priority: 0 });
+queue.add(() => console.log('PQueue: high'), { priority: 10 });
+queue.add(() => console.log('PQueue: normal'), { priority: 5 });
+queue.start();
+queue.onIdle().then(() => console.log('PQueue: idle'));
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { pLimit, pMap, pRetry, PQueue };
+}
@@ -1,21 +1,117 @@
 /**
- * 手写 Promise
+ * 手写 Promise - 符合 Promises/A+ 规范
+ *
+ * 核心要点：
+ * - then 回调通过微任务（queueMicrotask）异步执行
+ * - resolvePromise 兼容任意 thenable，并保证 then 的两个回调只生效一次
+ * - promise 不能 resolve 自身，否则抛出 TypeError
+ *
+ * 扩展：支持取消
+ * - new MyPromise(executor, { signal }) 绑定 AbortSignal，中止时以 AbortError 失败
+ * - executor 第三个参数 onCancel 注册清理逻辑（清定时器、中止请求等）
+ * - cancel() 让 pending 的 promise 以 AbortError 失败，并向下传递给 then 链上仍在等待的 promise
+ * - 取消作用于整棵 then 树：被多处共享的 promise（如缓存的请求）取消后，所有使用方都会收到 AbortError，
+ *   只想取消自己那一支时，取消自己 then 出来的 promise
+ *
+ * 扩展：调试支持
+ * - 未处理的失败：微任务清空后仍没有失败处理，触发 MyPromise.onUnhandledRejection
+ *   之后再补上处理，触发 MyPromise.onRejectionHandled（对应 rejectionhandled 事件）
+ * - MyPromise.debug = true 时记录每个 promise 的创建位置和 then 链父子关系，
+ *   通过 promise.asyncStack 拿到跨异步的调用栈
  */
 const PENDING = 'pending';
 const FULFILLED = 'fulfilled';
 const REJECTED = 'rejected';
 
-function resolvePromise(p, x, resolve, reject) {
-  if (x instanceof MyPromise) {
-    // 链式调用不允许返回当前 promise 本身，否则造成循环调用
-    if (x === p) {
-      return reject(new Error('Chaining cycle ...'))
-    } else {
-      return x.then(resolve, reject)
+// 微任务调度，老环境降级为宏任务
+const nextTick = typeof queueMicrotask === 'function'
+  ? queueMicrotask
+  : (fn) => setTimeout(fn, 0);
+
+// any 全部失败时的错误类型，老环境没有 AggregateError 时降级
+const AggregateErrorImpl = typeof AggregateError === 'function'
+  ? AggregateError
+  : class AggregateError extends Error {
+    constructor(errors, message) {
+      super(message);
+      this.name = 'AggregateError';
+      this.errors = Array.from(errors);
     }
-  } else {
+  };
+
+// 创建中止错误，已经是 AbortError/TimeoutError 的原样返回（如 signal.reason）
+function createAbortError(reason, name = 'AbortError') {
+  if (reason && (reason.name === 'AbortError' || reason.name === 'TimeoutError')) {
+    return reason;
+  }
+  const message = reason === undefined ? 'The operation was aborted' : String(reason);
+  if (typeof DOMException === 'function') {
+    return new DOMException(message, name);
+  }
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+// 异步调用栈最多回溯的 promise 层数
+const MAX_ASYNC_STACK_DEPTH = 20;
+
+// 记录创建位置，去掉 "Error" 和 captureStack、字段初始化这两帧
+const captureStack = () => {
+  const stack = new Error().stack || '';
+  return stack.split('\n').slice(3).join('\n');
+}
+
+/**
+ * Promise 解决过程 [[Resolve]](p, x)
+ * @param {MyPromise} p then 返回的新 promise
+ * @param {*} x 回调的返回值
+ * @param {Function} resolve 将 p 置为成功
+ * @param {Function} reject 将 p 置为失败
+ */
+function resolvePromise(p, x, resolve, reject) {
+  // 链式调用不允许返回当前 promise 本身，否则造成循环调用
+  if (x === p) {
+    return reject(new TypeError('Chaining cycle detected for promise'));
+  }
+
+  if (x === null || (typeof x !== 'object' && typeof x !== 'function')) {
     return resolve(x);
   }
+
+  // x 是对象或函数，尝试当作 thenable 处理（包括其他实现的 promise）
+  let then;
+  try {
+    then = x.then; // 只读取一次，getter 可能有副作用
+  } catch (e) {
+    return reject(e);
+  }
+
+  if (typeof then !== 'function') {
+    return resolve(x);
+  }
+
+  // resolvePromise / rejectPromise 只有第一次调用生效
+  let called = false;
+  try {
+    then.call(
+      x,
+      (y) => {
+        if (called) return;
+        called = true;
+        resolvePromise(p, y, resolve, reject);
+      },
+      (r) => {
+        if (called) return;
+        called = true;
+        reject(r);
+      }
+    );
+  } catch (e) {
+    if (called) return;
+    called = true;
+    reject(e);
+  }
 }
 
 class MyPromise {
@@ -24,6 +120,22 @@ class MyPromise {
   #reason = undefined; // 失败的原因
   #resolvedCbs = []; // 成功回调，是个数组，因为 同一个 promise then 可以被调用多次(不是链式，链式返回的是另一个 promise 了)
   #rejectedCbs = []; // 失败回调
+  #cancelHandlers = []; // 取消时的清理回调，由 executor 的 onCancel 注册
+  #children = new Set(); // then 派生出的、仍在等待的 promise，用于向下传递取消（结束后自动移除）
+  #detachParent = null; // 从父 promise 的 children 中移除自己
+  #detachSignal = null; // 移除 AbortSignal 监听
+  #handled = false; // 是否被 then/catch 订阅过，订阅过的失败不算未处理
+  #reported = false; // 是否已作为未处理失败上报
+  #parent = null; // debug 模式下 then 链上的父 promise
+  #creationStack = MyPromise.debug ? captureStack() : null; // debug 模式下的创建位置
+  #settle = () => {
+    this.#cancelHandlers = [];
+    this.#detachSignal && this.#detachSignal();
+    this.#detachSignal = null;
+    // 已结束的 promise 不会再被取消，父 promise 不必再持有它，长期存活的 promise 被反复 then 也不会泄漏
+    this.#detachParent && this.#detachParent();
+    this.#detachParent = null;
+  }
   #resolve = (value) => {
     if (this.#status === PENDING) {
       this.#status = FULFILLED;
@@ -32,6 +144,8 @@ class MyPromise {
         const callback = this.#resolvedCbs.shift();
         callback && callback(this.#value);
       }
+      this.#rejectedCbs = [];
+      this.#settle();
     }
   }
 
@@ -43,57 +157,270 @@ class MyPromise {
         const callback = this.#rejectedCbs.shift();
         callback && callback(this.#reason);
       }
+      this.#resolvedCbs = [];
+      this.#settle();
+      if (!this.#handled) {
+        MyPromise.#trackRejection(this);
+      }
     }
   }
 
-  constructor(executor) {
-    if (typeof executor === 'function') {
-      try {
-        executor(this.#resolve, this.#reject);
-      } catch (e) {
-        this.#reject(e);
+  static debug = false; // 开启后记录异步调用栈，有性能开销，仅用于开发
+  static onUnhandledRejection = null; // (event) => void，event: { type, promise, reason, asyncStack }
+  static onRejectionHandled = null; // (event) => void，晚到的失败处理
+  static #pendingRejections = new Set(); // 等待检查的失败 promise
+  static #rejectionTimer = null;
+
+  // 失败时还没有处理函数，等微任务队列清空后再检查（中间可能补上 catch）
+  static #trackRejection(promise) {
+    MyPromise.#pendingRejections.add(promise);
+    if (MyPromise.#rejectionTimer) return;
+    MyPromise.#rejectionTimer = setTimeout(() => {
+      const pending = MyPromise.#pendingRejections;
+      MyPromise.#pendingRejections = new Set();
+      MyPromise.#rejectionTimer = null;
+      pending.forEach((p) => {
+        if (p.#handled) return;
+        p.#reported = true;
+        const event = MyPromise.#createRejectionEvent('unhandledrejection', p);
+        if (typeof MyPromise.onUnhandledRejection === 'function') {
+          MyPromise.onUnhandledRejection(event);
+        } else {
+          console.error('Unhandled MyPromise rejection:', event.reason);
+          event.asyncStack && console.error(event.asyncStack);
+        }
+      });
+    }, 0);
+  }
+
+  static #createRejectionEvent(type, promise) {
+    return {
+      type,
+      promise,
+      reason: promise.#reason,
+      asyncStack: MyPromise.debug ? promise.asyncStack : ''
+    };
+  }
+
+  // 被订阅时标记为已处理，已经上报过的补发 rejectionhandled
+  #markHandled() {
+    if (this.#handled) return;
+    this.#handled = true;
+    if (this.#reported) {
+      this.#reported = false;
+      if (typeof MyPromise.onRejectionHandled === 'function') {
+        MyPromise.onRejectionHandled(MyPromise.#createRejectionEvent('rejectionhandled', this));
+      }
+    }
+  }
+
+  /**
+   * 异步调用栈：沿 then 链向上拼接每个 promise 的创建位置
+   * 仅在 MyPromise.debug 为 true 时有内容
+   * @returns {string}
+   */
+  get asyncStack() {
+    const stacks = [];
+    let current = this;
+    let depth = 0;
+    while (current && depth < MAX_ASYNC_STACK_DEPTH) {
+      current.#creationStack && stacks.push(current.#creationStack);
+      current = current.#parent;
+      depth++;
+    }
+    return stacks.join('\nFrom previous MyPromise:\n');
+  }
+
+  /**
+   * @param {Function} executor (resolve, reject, onCancel) => void
+   * @param {Object} options 配置选项
+   * @param {AbortSignal} options.signal 中止信号，中止时 promise 以 AbortError 失败
+   */
+  constructor(executor, options = {}) {
+    if (typeof executor !== 'function') {
+      throw new TypeError(`Promise resolver ${executor} is not a function`);
+    }
+
+    // 暴露给 executor 的 resolve/reject 只有第一次调用生效
+    // resolve 的值可能是 thenable，需要走解决过程
+    let called = false;
+    const resolve = (value) => {
+      if (called) return;
+      called = true;
+      resolvePromise(this, value, this.#resolve, this.#reject);
+    };
+    const reject = (reason) => {
+      if (called) return;
+      called = true;
+      this.#reject(reason);
+    };
+
+    const onCancel = (handler) => {
+      if (typeof handler === 'function' && this.#status === PENDING) {
+        this.#cancelHandlers.push(handler);
       }
+    };
+
+    const { signal } = options;
+    if (signal) {
+      // 已经中止的信号，不再执行 executor
+      if (signal.aborted) {
+        this.#reject(createAbortError(signal.reason));
+        return;
+      }
+      const onAbort = () => this.cancel(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      this.#detachSignal = () => signal.removeEventListener('abort', onAbort);
+    }
+
+    try {
+      executor(resolve, reject, onCancel);
+    } catch (e) {
+      reject(e);
     }
   }
 
-  static resolve = (value) => {
+  /**
+   * 取消 promise
+   * - 自身 pending：以 AbortError 失败，并执行 onCancel 注册的清理逻辑，失败会沿 then 链自然传递
+   * - 自身已结束：向下取消 then 链上仍在等待的 promise（比如回调返回的 promise 还没完成）
+   * @param {*} reason 取消原因
+   * @returns {boolean} 是否有 promise 被取消
+   */
+  cancel(reason) {
+    if (this.#status === PENDING) {
+      const error = createAbortError(reason);
+      const handlers = this.#cancelHandlers;
+      this.#reject(error);
+      handlers.forEach((handler) => {
+        try {
+          handler(error);
+        } catch (e) {
+          // 清理逻辑出错不影响取消结果
+        }
+      });
+      return true;
+    }
+
+    const children = [...this.#children];
+    this.#children.clear();
+    return children.reduce((cancelled, child) => child.cancel(reason) || cancelled, false);
+  }
+
+  static resolve(value) {
     if (value instanceof MyPromise) {
       return value;
     }
-    return new Promise((resolve) => {
+    return new MyPromise((resolve) => {
       resolve(value);
     })
   }
 
-  static reject = (reason) => {
-    if (reason instanceof MyPromise) {
-      return reason;
-    }
-    return new Promise((undefined, reject) => {
+  static reject(reason) {
+    // 与原生一致：reject 不会展开 promise，原样作为失败原因
+    return new MyPromise((_, reject) => {
       reject(reason);
     })
   }
 
+  // Promises/A+ 测试套件适配器需要的 deferred
+  static deferred() {
+    const dfd = {};
+    dfd.promise = new MyPromise((resolve, reject) => {
+      dfd.resolve = resolve;
+      dfd.reject = reject;
+    });
+    return dfd;
+  }
+
+  static withResolvers() {
+    let resolve, reject;
+    const promise = new this((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+
+  // 同步执行 fn，返回值或抛错都包装成 promise
+  static try(fn, ...args) {
+    return new this((resolve) => {
+      resolve(fn(...args));
+    });
+  }
+
+  /**
+   * 超时控制：ms 内未完成则以 TimeoutError 失败，并取消原 promise
+   * @param {MyPromise|*} promise 原 promise
+   * @param {number} ms 超时时间
+   * @returns {MyPromise}
+   */
+  static timeout(promise, ms) {
+    return new MyPromise((resolve, reject, onCancel) => {
+      const cancelSource = (reason) => {
+        if (promise && typeof promise.cancel === 'function') {
+          promise.cancel(reason);
+        }
+      }
+      const timer = setTimeout(() => {
+        const error = createAbortError(`Operation timed out after ${ms}ms`, 'TimeoutError');
+        reject(error);
+        cancelSource(error);
+      }, ms);
+      onCancel((reason) => {
+        clearTimeout(timer);
+        cancelSource(reason);
+      });
+      MyPromise.resolve(promise).then((value) => {
+        clearTimeout(timer);
+        resolve(value);
+      }, (reason) => {
+        clearTimeout(timer);
+        reject(reason);
+      });
+    })
+  }
+
+  /**
+   * 绑定 AbortSignal：signal 中止时返回的 promise 以 AbortError 失败，并取消原 promise
+   * @param {MyPromise|*} promise 原 promise
+   * @param {AbortSignal} signal 中止信号
+   * @returns {MyPromise}
+   */
+  static abortable(promise, signal) {
+    return new MyPromise((resolve, reject, onCancel) => {
+      onCancel((reason) => {
+        if (promise && typeof promise.cancel === 'function') {
+          promise.cancel(reason);
+        }
+      });
+      MyPromise.resolve(promise).then(resolve, reject);
+    }, { signal })
+  }
+
   static all(promises) {
     return new MyPromise((resolve, reject) => {
       let result = [];
       let count = 0;
-      for (let i = 0; i < promises.length; i++) {
-        const addData = (key, value) => {
-          result[key] = value;
-          count++;
-          if (count === promises.length) {
-            resolve(result);
-          }
-        }
-        const current = promises[i];
-        if (current instanceof MyPromise) {
-          current.then((value) => {
-            addData(i, value);
+      let index = 0;
+      try {
+        // 支持任意可迭代对象，非 promise 值统一用 MyPromise.resolve 包装
+        for (const current of promises) {
+          const i = index++;
+          MyPromise.resolve(current).then((value) => {
+            result[i] = value;
+            count++;
+            if (count === index) {
+              resolve(result);
+            }
           }, reject);
-        } else {
-          addData(i, current);
         }
+      } catch (e) {
+        return reject(e);
+      }
+      // 空迭代器直接成功
+      if (index === 0) {
+        resolve(result);
       }
     })
   }
@@ -102,58 +429,69 @@ class MyPromise {
     return new MyPromise((resolve, reject) => {
       let result = [];
       let count = 0;
-      for (let i = 0; i < promises.length; i++) {
-        const addData = (key, value) => {
-          result[key] = value;
-          count++;
-          if (count === promises.length) {
-            resolve(result);
-          }
+      let index = 0;
+      const addData = (key, value) => {
+        result[key] = value;
+        count++;
+        if (count === index) {
+          resolve(result);
         }
-        const current = promises[i];
-        if (current instanceof MyPromise) {
-          current.then((value) => {
+      }
+      try {
+        for (const current of promises) {
+          const i = index++;
+          MyPromise.resolve(current).then((value) => {
             addData(i, { status: FULFILLED, value });
           }, (reason) => {
             addData(i, { status: REJECTED, reason });
           });
-        } else {
-          MyPromise.resolve(current).then((value) => {
-            addData(i, { status: FULFILLED, value });
-          })
         }
+      } catch (e) {
+        return reject(e);
+      }
+      if (index === 0) {
+        resolve(result);
       }
     })
   }
 
   static race(promises) {
     return new MyPromise((resolve, reject) => {
-      for (let i = 0; i < promises.length; i++) {
-        promises[i].then(resolve, reject);
+      try {
+        for (const current of promises) {
+          MyPromise.resolve(current).then(resolve, reject);
+        }
+      } catch (e) {
+        reject(e);
       }
     })
   }
 
   static any(promises) {
     return new MyPromise((resolve, reject) => {
-      let result = [];
+      let errors = [];
       let count = 0;
-      for (let i = 0; i < promises.length; i++) {
-        const addData = (key, reason) => {
-          result[key] = reason;
-          count++;
-          if (count === promises.length) {
-            reject(result);
-          }
-        }
-        const current = promises[i];
-        if (current instanceof MyPromise) {
-          current.then(resolve, (reason) => {
-            addData(i, reason);
+      let index = 0;
+      const rejectAll = () => {
+        reject(new AggregateErrorImpl(errors, 'All promises were rejected'));
+      }
+      try {
+        for (const current of promises) {
+          const i = index++;
+          MyPromise.resolve(current).then(resolve, (reason) => {
+            errors[i] = reason;
+            count++;
+            if (count === index) {
+              rejectAll();
+            }
           });
-        } else {
-          resolve(current);
         }
+      } catch (e) {
+        return reject(e);
+      }
+      // 空迭代器直接失败
+      if (index === 0) {
+        rejectAll();
       }
     })
   }
@@ -161,19 +499,35 @@ class MyPromise {
   then(onResolved, onRejected) {
     onResolved = typeof onResolved === 'function' ? onResolved : value => value;
     onRejected = typeof onRejected === 'function' ? onRejected : reason => { throw reason };
-  
-    const p = new MyPromise((resolve, reject) => {
+
+    const p = new MyPromise((resolve, reject, onCancel) => {
+      // 回调返回的 promise 还在等待时，取消 p 也要取消它
+      const follow = (x) => {
+        if (x instanceof MyPromise) {
+          onCancel((reason) => x.cancel(reason));
+        }
+        resolve(x);
+      }
+      // 回调必须在微任务中执行，且回调抛错时 p 失败
       const onResolvedCb = () => {
-        setTimeout(() => {
-          const x = onResolved(this.#value);
-          resolvePromise(p, x, resolve, reject);
-        }, 0);
+        nextTick(() => {
+          try {
+            const x = onResolved(this.#value);
+            follow(x);
+          } catch (e) {
+            reject(e);
+          }
+        });
       }
       const onRejectedCb = () => {
-        setTimeout(() => {
-          const x = onRejected(this.#reason);
-          resolvePromise(p, x, resolve, reject);
-        }, 0);
+        nextTick(() => {
+          try {
+            const x = onRejected(this.#reason);
+            follow(x);
+          } catch (e) {
+            reject(e);
+          }
+        });
       }
 
       if (this.#status === FULFILLED) {
@@ -185,6 +539,12 @@ class MyPromise {
         this.#rejectedCbs.push(onRejectedCb);
       }
     });
+    this.#markHandled();
+    this.#children.add(p);
+    p.#detachParent = () => this.#children.delete(p);
+    if (MyPromise.debug) {
+      p.#parent = this;
+    }
     return p;
   }
 
@@ -269,4 +629,103 @@ MyPromise.race([p1, p2, p3]).then((result) => {
   console.log(result, 'race');
 }, (reason) => {
   console.log(reason, '999');
-})
\ No newline at end of file
+})
+
+MyPromise.allSettled(new Set([p1, p2, p3])).then((result) => {
+  console.log(result, 'allSettled');
+})
+
+MyPromise.any([MyPromise.reject('a'), MyPromise.reject('b')]).catch((error) => {
+  console.log(error.name, error.errors, 'any');
+})
+
+const { promise: p4, resolve: resolveP4 } = MyPromise.withResolvers();
+p4.then((value) => console.log(value, 'withResolvers'));
+resolveP4('done');
+
+MyPromise.try(() => JSON.parse('{bad json')).catch((error) => {
+  console.log(error.name, 'try');
+})
+
+// 可取消的延时 promise
+const sleep = (ms, value, signal) => new MyPromise((resolve, reject, onCancel) => {
+  const timer = setTimeout(() => resolve(value), ms);
+  onCancel(() => clearTimeout(timer));
+}, { signal });
+
+const slowTask = sleep(3000, 'slow');
+slowTask.then((value) => console.log(value, 'never'))
+  .catch((error) => console.log(error.name, 'cancel'));
+slowTask.cancel();
+
+// 共享的 promise：取消自己 then 出来的那一支，其他使用方不受影响
+const cached = MyPromise.resolve('cached');
+const mine = cached.then(() => sleep(1000, 'mine'));
+const theirs = cached.then(() => sleep(50, 'theirs'));
+mine.catch((error) => console.log(error.name, 'mine'));
+theirs.then((value) => console.log(value, 'unaffected'));
+setTimeout(() => mine.cancel(), 0);
+
+// 取消共享的 promise 本身，所有使用方都会收到 AbortError
+const sharedRequest = sleep(1000, 'shared');
+MyPromise.all([
+  sharedRequest.then((value) => value).catch((error) => error.name),
+  sharedRequest.then((value) => value).catch((error) => error.name)
+]).then((names) => console.log(names, 'shared cancel'));
+sharedRequest.cancel();
+
+MyPromise.timeout(sleep(3000, 'slow'), 100).catch((error) => {
+  console.log(error.name, 'timeout');
+})
+
+const controller = new AbortController();
+MyPromise.abortable(sleep(3000, 'slow'), controller.signal).catch((error) => {
+  console.log(error.name, 'abortable');
+})
+controller.abort();
+
+// 未处理的失败
+// 钩子是全局的：演示只处理自己的 promise，其余交还原来的钩子，结束后恢复，不影响引入本文件的代码
+const previousRejectionHooks = {
+  onUnhandledRejection: MyPromise.onUnhandledRejection,
+  onRejectionHandled: MyPromise.onRejectionHandled
+};
+const lonely = MyPromise.reject('nobody cares');
+MyPromise.onUnhandledRejection = (event) => {
+  if (event.promise === lonely) {
+    console.log('unhandled:', event.reason);
+  } else if (previousRejectionHooks.onUnhandledRejection) {
+    previousRejectionHooks.onUnhandledRejection(event);
+  } else {
+    console.error('Unhandled MyPromise rejection:', event.reason);
+  }
+};
+MyPromise.onRejectionHandled = (event) => {
+  if (event.promise === lonely) {
+    console.log('handled later:', event.reason);
+  } else if (previousRejectionHooks.onRejectionHandled) {
+    previousRejectionHooks.onRejectionHandled(event);
+  }
+};
+setTimeout(() => {
+  lonely.catch(() => {});
+  Object.assign(MyPromise, previousRejectionHooks);
+}, 100);
+
+// debug 模式：then 链深处出错时打印完整的异步调用栈（演示结束恢复原来的设置）
+const previousDebug = MyPromise.debug;
+MyPromise.debug = true;
+MyPromise.resolve(1)
+  .then((value) => value + 1)
+  .then(() => { throw new Error('deep error'); })
+  .then((value) => value)
+  .catch(function (error) {
+    console.log(error.message);
+  });
+const deep = MyPromise.resolve(1).then(() => { throw new Error('deep error'); });
+deep.catch(() => console.log(deep.asyncStack));
+MyPromise.debug = previousDebug;
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MyPromise, AggregateErrorImpl, createAbortError };
+}
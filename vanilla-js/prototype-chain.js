@@ -0,0 +1,275 @@
+/**
+ * 原型链检查工具 - instanceof.js 和 object-create.js 共用
+ *
+ * - getPrototypeChain：列出原型链，每一环带可读的名字
+ * - isInstance：跨 realm（iframe、vm）安全的 instanceof，内置类型降级为品牌检查
+ * - inheritsFrom：判断构造函数 A 是否继承自 B
+ * - formatPrototypeChain：把原型链渲染成树，用于演示页面
+ */
+
+const MAX_CHAIN_LENGTH = 100; // 防止 Proxy 的 getPrototypeOf 陷阱构造出无限原型链
+
+/**
+ * 给原型对象起名字
+ * - 有自己的 constructor 属性：Foo.prototype
+ * - 没有（如 Object.create 出来的中间对象）：Object.create(父原型名)
+ */
+function getPrototypeName(proto) {
+  if (proto === null) {
+    return 'null';
+  }
+
+  const descriptor = Object.getOwnPropertyDescriptor(proto, 'constructor');
+  const constructor = descriptor && descriptor.value;
+  if (typeof constructor === 'function' && constructor.prototype === proto) {
+    return `${constructor.name || '(anonymous)'}.prototype`;
+  }
+
+  const parent = Object.getPrototypeOf(proto);
+  return parent === null ? 'Object.create(null)' : `Object.create(${getPrototypeName(parent)})`;
+}
+
+/**
+ * 获取原型链
+ *
+ * @param {*} obj 任意值，基本类型按包装对象处理（与 Object.getPrototypeOf 一致）
+ * @param {Object} options 配置选项
+ * @param {boolean} options.includeSelf 是否把对象本身作为第一环，默认 false
+ * @returns {Array<{ name: string, proto: Object }>} 从近到远，不包含末尾的 null
+ */
+function getPrototypeChain(obj, options = {}) {
+  const { includeSelf = false } = options;
+
+  if (obj === null || obj === undefined) {
+    throw new TypeError(`Cannot convert ${obj} to object`);
+  }
+
+  const chain = [];
+  if (includeSelf) {
+    const constructor = obj.constructor;
+    chain.push({
+      name: typeof constructor === 'function' && constructor.name
+        ? `${constructor.name} 实例`
+        : '对象实例',
+      proto: Object(obj)
+    });
+  }
+
+  const seen = new Set();
+  let proto = Object.getPrototypeOf(obj);
+  while (proto !== null) {
+    if (seen.has(proto) || chain.length >= MAX_CHAIN_LENGTH) {
+      throw new RangeError('Prototype chain is cyclic or too long');
+    }
+    seen.add(proto);
+    chain.push({ name: getPrototypeName(proto), proto });
+    proto = Object.getPrototypeOf(proto);
+  }
+
+  return chain;
+}
+
+// 调用 getter / 方法不抛错，说明对象带有对应的内部插槽
+const hasSlot = (fn) => (value) => {
+  try {
+    fn(value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+const getterOf = (proto, key) => Object.getOwnPropertyDescriptor(proto, key).get;
+
+const TypedArrayPrototype = Object.getPrototypeOf(Int8Array.prototype);
+const typedArrayTag = getterOf(TypedArrayPrototype, Symbol.toStringTag);
+const isTypedArray = (name) => (value) => typedArrayTag.call(value) === name;
+
+// Error 子类没有独立的插槽（都是 [[ErrorData]]），先确认是 Error，
+// 再看原型链上有没有某个 realm 的原生 X.prototype；只看 name 属性会被 err.name = 'TypeError' 骗过
+const isErrorOf = (name) => (value) => brandChecks.Error(value)
+  && getPrototypeChain(value).some((link) => isBuiltinPrototype(link.proto) && link.proto.constructor.name === name);
+
+/**
+ * 内置类型的品牌检查，按构造函数名查找
+ * 借用本 realm 的内置方法访问内部插槽，另一个 realm 的对象也有同样的插槽
+ * 无法伪造：修改 Symbol.toStringTag 或原型都不影响结果
+ */
+const brandChecks = {
+  // 原型链末端是某个 realm 的 Object.prototype（排除 Object.create(null)）
+  Object: (value) => {
+    const chain = getPrototypeChain(value);
+    return chain.length > 0 && chain[chain.length - 1].name === 'Object.prototype';
+  },
+  Function: (value) => typeof value === 'function',
+  Array: Array.isArray,
+  Date: hasSlot((value) => Date.prototype.getTime.call(value)),
+  RegExp: hasSlot((value) => getterOf(RegExp.prototype, 'source').call(value)),
+  Map: hasSlot((value) => getterOf(Map.prototype, 'size').call(value)),
+  Set: hasSlot((value) => getterOf(Set.prototype, 'size').call(value)),
+  WeakMap: hasSlot((value) => WeakMap.prototype.has.call(value, {})),
+  WeakSet: hasSlot((value) => WeakSet.prototype.has.call(value, {})),
+  ArrayBuffer: hasSlot((value) => getterOf(ArrayBuffer.prototype, 'byteLength').call(value)),
+  DataView: hasSlot((value) => getterOf(DataView.prototype, 'byteLength').call(value)),
+  // Promise 没有无副作用的访问器，只能依赖 toString 标签
+  Promise: (value) => Object.prototype.toString.call(value) === '[object Promise]',
+  Error: (value) => {
+    // Error.isError 是新提案，不支持时只能依赖 toString 标签
+    if (typeof Error.isError === 'function') return Error.isError(value);
+    return Object.prototype.toString.call(value) === '[object Error]';
+  },
+  TypeError: isErrorOf('TypeError'),
+  RangeError: isErrorOf('RangeError'),
+  SyntaxError: isErrorOf('SyntaxError'),
+  ReferenceError: isErrorOf('ReferenceError'),
+  EvalError: isErrorOf('EvalError'),
+  URIError: isErrorOf('URIError'),
+  AggregateError: isErrorOf('AggregateError'),
+  Boolean: hasSlot((value) => Boolean.prototype.valueOf.call(value)),
+  Number: hasSlot((value) => Number.prototype.valueOf.call(value)),
+  String: hasSlot((value) => String.prototype.valueOf.call(value)),
+  Int8Array: isTypedArray('Int8Array'),
+  Uint8Array: isTypedArray('Uint8Array'),
+  Uint8ClampedArray: isTypedArray('Uint8ClampedArray'),
+  Int16Array: isTypedArray('Int16Array'),
+  Uint16Array: isTypedArray('Uint16Array'),
+  Int32Array: isTypedArray('Int32Array'),
+  Uint32Array: isTypedArray('Uint32Array'),
+  Float32Array: isTypedArray('Float32Array'),
+  Float64Array: isTypedArray('Float64Array'),
+  BigInt64Array: isTypedArray('BigInt64Array'),
+  BigUint64Array: isTypedArray('BigUint64Array')
+};
+
+// 只有原生构造函数才走品牌检查，用户定义的同名类不算
+const isNativeFunction = (fn) => /\{\s*\[native code\]\s*\}\s*$/.test(Function.prototype.toString.call(fn));
+
+const isBuiltinPrototype = (proto) => {
+  const descriptor = Object.getOwnPropertyDescriptor(proto, 'constructor');
+  return Boolean(descriptor && typeof descriptor.value === 'function'
+    && descriptor.value.prototype === proto && isNativeFunction(descriptor.value));
+};
+
+/**
+ * 跨 realm 安全的 instanceof
+ *
+ * 问题：iframe 里的数组 instanceof Array 为 false，因为两个 realm 的 Array.prototype 不是同一个对象
+ * 做法：先按原型链查找，找不到且右边是内置构造函数时，降级为品牌检查
+ * 用户定义的类没有品牌，跨 realm 时无法可靠判断，只看原型链
+ *
+ * @param {*} value 待检测的值，基本类型始终返回 false（与 instanceof 一致）
+ * @param {Function} constructor 构造函数
+ * @returns {boolean}
+ */
+function isInstance(value, constructor) {
+  if (typeof constructor !== 'function') {
+    throw new TypeError('Right-hand side of instanceof is not callable');
+  }
+
+  if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+    return false;
+  }
+
+  const prototype = constructor.prototype;
+  if (prototype !== null && (typeof prototype === 'object' || typeof prototype === 'function')) {
+    if (getPrototypeChain(value).some((link) => link.proto === prototype)) {
+      return true;
+    }
+  }
+
+  const brandCheck = isNativeFunction(constructor) && brandChecks[constructor.name];
+  return brandCheck ? brandCheck(value) : false;
+}
+
+/**
+ * 判断构造函数 A 是否继承自 B（A.prototype 的原型链上有 B.prototype）
+ * 同时适用于 class extends 和 ES5 的 Object.create 继承
+ *
+ * @param {Function} A 子类
+ * @param {Function} B 父类
+ * @returns {boolean} A === B 时返回 false
+ */
+function inheritsFrom(A, B) {
+  if (typeof A !== 'function' || typeof B !== 'function') {
+    throw new TypeError('inheritsFrom expects two constructors');
+  }
+  if (A === B || A.prototype === null || typeof A.prototype !== 'object') {
+    return false;
+  }
+  return getPrototypeChain(A.prototype).some((link) => link.proto === B.prototype);
+}
+
+/**
+ * 把原型链渲染成树
+ *
+ * Dog 实例 { name }
+ * └─ Dog.prototype { bark }
+ *    └─ Animal.prototype { speak }
+ *       └─ Object.prototype
+ *          └─ null
+ *
+ * @param {*} obj 任意非 null 值
+ * @param {Object} options 配置选项
+ * @param {boolean} options.showKeys 是否显示每一环自己的属性名，默认 true
+ * @param {number} options.maxKeys 每一环最多显示的属性数，默认 5
+ * @returns {string}
+ */
+function formatPrototypeChain(obj, options = {}) {
+  const { showKeys = true, maxKeys = 5 } = options;
+
+  const formatKeys = (target) => {
+    // 内置原型（Array.prototype 等）的属性太多，不展示
+    if (!showKeys || isBuiltinPrototype(target)) return '';
+    const keys = Reflect.ownKeys(target)
+      .filter((key) => key !== 'constructor')
+      .map(String);
+    if (keys.length === 0) return '';
+    const shown = keys.slice(0, maxKeys).join(', ');
+    return ` { ${shown}${keys.length > maxKeys ? ', …' : ''} }`;
+  };
+
+  const links = getPrototypeChain(obj, { includeSelf: true });
+  const lines = links.map((link, depth) => {
+    const prefix = depth === 0 ? '' : `${'   '.repeat(depth - 1)}└─ `;
+    return `${prefix}${link.name}${formatKeys(link.proto)}`;
+  });
+  lines.push(`${'   '.repeat(links.length - 1)}└─ null`);
+
+  return lines.join('\n');
+}
+
+// ===== 使用示例 =====
+
+class ChainAnimal {
+  speak() {}
+}
+class ChainDog extends ChainAnimal {
+  constructor(name) {
+    super();
+    this.name = name;
+  }
+  bark() {}
+}
+
+console.log(formatPrototypeChain(new ChainDog('Buddy')));
+console.log(getPrototypeChain([]).map((link) => link.name)); // ['Array.prototype', 'Object.prototype']
+console.log(inheritsFrom(ChainDog, ChainAnimal), inheritsFrom(ChainAnimal, ChainDog)); // true false
+
+// 伪造 toStringTag 骗不过品牌检查
+const fakeMap = { [Symbol.toStringTag]: 'Map' };
+console.log(isInstance(fakeMap, Map), isInstance(new Map(), Map)); // false true
+
+// Error 子类按原型链上的原生构造函数判断，改 name 骗不过
+const renamedError = new Error('boom');
+renamedError.name = 'TypeError';
+console.log(isInstance(renamedError, TypeError), isInstance(new RangeError('boom'), RangeError)); // false true
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getPrototypeName,
+    getPrototypeChain,
+    isInstance,
+    inheritsFrom,
+    formatPrototypeChain
+  };
+}
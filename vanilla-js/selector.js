@@ -0,0 +1,150 @@
+/**
+ * 手写 createSelector - 记忆化 selector（参考 reselect）
+ *
+ * 核心原理：输入 selector 的结果没变，就直接返回上次的计算结果
+ * - 返回值引用不变，订阅方用 === 就能判断"选中的状态没变"，从而跳过重新渲染
+ * - 输入比较方式可配置：引用相等 / 浅比较 / 深比较 / 自定义
+ * - 支持缓存多组参数（LRU），并统计重新计算次数
+ */
+import { shallowEqual } from './shallow-equal.js';
+import { deepEqualAdvanced } from './deep-equal.js';
+
+const EQUALITY = {
+  identity: Object.is,
+  shallow: shallowEqual,
+  deep: (a, b) => deepEqualAdvanced(a, b)
+};
+
+const resolveEquality = (equality) => {
+  if (typeof equality === 'function') return equality;
+  if (EQUALITY[equality]) return EQUALITY[equality];
+  throw new TypeError(`Unknown equality: ${equality}`);
+};
+
+/**
+ * 创建记忆化 selector
+ *
+ * createSelector([selectA, selectB], (a, b) => result, options)
+ * createSelector(selectA, selectB, (a, b) => result)
+ *
+ * @param {Function[]} inputSelectors 输入 selector，参数与最终 selector 相同
+ * @param {Function} resultFunc 根据输入结果计算最终结果
+ * @param {Object} options 配置选项
+ * @param {string|Function} options.equality 输入结果的比较方式 identity / shallow / deep / (a, b) => boolean，默认 identity
+ * @param {string|Function} options.resultEquality 结果比较方式，重新计算后与上次结果相等时返回上次的引用，默认不比较
+ * @param {number} options.cacheSize 缓存的参数组数，默认 1
+ * @returns {Function} selector，带 recomputations / resetRecomputations / clearCache
+ */
+const createSelector = (...args) => {
+  let inputSelectors;
+  let resultFunc;
+  let options = {};
+
+  if (Array.isArray(args[0])) {
+    [inputSelectors, resultFunc, options = {}] = args;
+  } else {
+    // 变参形式：最后一个函数是 resultFunc
+    const lastFnIndex = args.length - (typeof args[args.length - 1] === 'function' ? 1 : 2);
+    inputSelectors = args.slice(0, lastFnIndex);
+    resultFunc = args[lastFnIndex];
+    options = args[lastFnIndex + 1] || {};
+  }
+
+  if (typeof resultFunc !== 'function' || !inputSelectors.every(fn => typeof fn === 'function')) {
+    throw new TypeError('createSelector expects input selectors and a result function');
+  }
+
+  const { equality = 'identity', resultEquality = null, cacheSize = 1 } = options;
+  const isEqualInput = resolveEquality(equality);
+  const isEqualResult = resultEquality === null ? null : resolveEquality(resultEquality);
+
+  let cache = []; // [{ inputs, result }]，最近使用的在前
+  let lastResult;
+  let hasResult = false;
+  let recomputations = 0;
+
+  const sameInputs = (a, b) => a.length === b.length && a.every((value, i) => isEqualInput(value, b[i]));
+
+  const selector = (...params) => {
+    const inputs = inputSelectors.map(fn => fn(...params));
+
+    const index = cache.findIndex(entry => sameInputs(entry.inputs, inputs));
+    if (index !== -1) {
+      const [entry] = cache.splice(index, 1);
+      cache.unshift(entry);
+      return entry.result;
+    }
+
+    recomputations++;
+    let result = resultFunc(...inputs);
+    // 结果结构上没变，复用上次的引用
+    if (isEqualResult && hasResult && isEqualResult(lastResult, result)) {
+      result = lastResult;
+    }
+    lastResult = result;
+    hasResult = true;
+
+    cache.unshift({ inputs, result });
+    if (cache.length > cacheSize) {
+      cache.length = cacheSize;
+    }
+    return result;
+  };
+
+  selector.resultFunc = resultFunc;
+  selector.recomputations = () => recomputations;
+  selector.resetRecomputations = () => {
+    recomputations = 0;
+  };
+  selector.clearCache = () => {
+    cache = [];
+    hasResult = false;
+    lastResult = undefined;
+  };
+
+  return selector;
+};
+
+// ===== 使用示例 =====
+
+console.log('\n=== createSelector ===');
+
+const selectTodos = state => state.todos;
+const selectFilter = state => state.filter;
+
+const selectVisibleTodos = createSelector(
+  [selectTodos, selectFilter],
+  (todos, filter) => todos.filter(todo => filter === 'all' || (filter === 'done') === todo.done)
+);
+
+const todoState = {
+  todos: [{ id: 1, done: true }, { id: 2, done: false }],
+  filter: 'done',
+  other: 0
+};
+
+const visible1 = selectVisibleTodos(todoState);
+const visible2 = selectVisibleTodos({ ...todoState, other: 1 }); // 无关字段变化
+console.log('无关字段变化复用结果:', visible1 === visible2, selectVisibleTodos.recomputations()); // true 1
+
+// 输入每次都是新对象时，用浅比较避免重复计算
+const selectUserView = createSelector(
+  [state => ({ name: state.name, age: state.age })],
+  user => `${user.name} (${user.age})`,
+  { equality: 'shallow' }
+);
+selectUserView({ name: 'Tom', age: 25 });
+selectUserView({ name: 'Tom', age: 25 });
+console.log('浅比较输入:', selectUserView.recomputations()); // 1
+
+// 重新计算后结果深比较相等，返回旧引用
+const selectIds = createSelector(
+  [state => state.todos],
+  todos => todos.map(todo => todo.id),
+  { resultEquality: 'deep', cacheSize: 2 }
+);
+const ids1 = selectIds(todoState);
+const ids2 = selectIds({ ...todoState, todos: todoState.todos.map(todo => ({ ...todo })) });
+console.log('结果深比较复用:', ids1 === ids2, selectIds.recomputations()); // true 2
+
+export { createSelector };
@@ -1,38 +1,72 @@
 
 // 手写 call/apply/bind
 
+// context：null/undefined 指向全局对象，基本类型装箱（0、'' 不能用 || 判断）
+// 临时属性用 Symbol 键、不可枚举，不覆盖同名属性，抛错也要删掉
+const callWith = (fn, context, args) => {
+  context = context == null ? globalThis : Object(context)
+  if (!Object.isExtensible(context)) return Reflect.apply(fn, context, args)
+
+  const key = Symbol('fn')
+  Object.defineProperty(context, key, { value: fn, configurable: true })
+  try {
+    return context[key](...args)
+  } finally {
+    delete context[key]
+  }
+}
+
 Function.prototype.myCall = function (context, ...args) {
   if (typeof this !== 'function') {
-    throw 'type error'
+    throw new TypeError('Function.prototype.myCall called on non-function')
   }
-
-  context = context || window
-  context.fn = this
-  const result = context.fn(...args)
-  delete context.fn
-  return result
+  return callWith(this, context, args)
 }
 
 Function.prototype.myApply = function (context, args) {
   if (typeof this !== 'function') {
-    throw 'type error'
+    throw new TypeError('Function.prototype.myApply called on non-function')
   }
-
-  context = context || window
-  context.fn = this
-  const result = context.fn(...args)
-  delete context.fn
-  return result
+  // 类数组按 length 取值，null/undefined 视为空数组
+  return callWith(this, context, args == null ? [] : Array.from({ length: args.length }, (_, i) => args[i]))
 }
 
-Function.prototype.myBind = function (context, args) {
-  return function () {
-    context = context || window
-    context.fn = this
-    const result = context.fn([...args, ...arguments])
-    delete context.fn
-    return result
+Function.prototype.myBind = function (context, ...args) {
+  if (typeof this !== 'function') {
+    throw new TypeError('Function.prototype.myBind called on non-function')
   }
+  const fn = this
+
+  // 原函数能 new，绑定函数才能 new；不能 new 的用方法简写，天然没有 prototype
+  let constructible = true
+  try { Reflect.construct(String, [], fn) } catch (e) { constructible = false }
+
+  let bound
+  if (constructible) {
+    bound = function (...callArgs) {
+      // new 时忽略 context，new.target 换成原函数（子类则原样传下去）
+      if (new.target) {
+        return Reflect.construct(fn, [...args, ...callArgs], new.target === bound ? fn : new.target)
+      }
+      return callWith(fn, context, [...args, ...callArgs])
+    }
+    // 普通函数的 prototype 不可删除，只能置为 undefined
+    bound.prototype = undefined
+  } else {
+    ({ bound } = { bound(...callArgs) { return callWith(fn, context, [...args, ...callArgs]) } })
+  }
+
+  // length 按 ToIntegerOrInfinity 取整（NaN 视为 0）后减去预设参数个数；name 为 "bound xxx"
+  const length = Object.prototype.hasOwnProperty.call(fn, 'length') && typeof fn.length === 'number'
+    ? Math.max(0, (Math.trunc(fn.length) || 0) - args.length)
+    : 0
+  Object.defineProperties(bound, {
+    length: { value: length, configurable: true },
+    name: { value: `bound ${typeof fn.name === 'string' ? fn.name : ''}`, configurable: true }
+  })
+  // instanceof 委托给原函数
+  Object.defineProperty(bound, Symbol.hasInstance, { value: (x) => x instanceof fn, configurable: true })
+  return bound
 }
 
 // 手写实现 new
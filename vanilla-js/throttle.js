@@ -1,6 +1,8 @@
 /**
  * 手写 throttle 节流函数 - 现代简化版
  * 
+ * 依赖 clock.js（systemClock），浏览器中需先引入 clock.js
+ * 
  * 核心原理：限制执行频率，固定时间间隔执行
  * - 立即模式：第一次调用立即执行
  * - 延迟模式：等待间隔后执行
@@ -10,10 +12,15 @@
  * @param {Object} options 配置选项
  * @param {number} options.wait 时间间隔，默认 500ms
  * @param {boolean} options.immediate 是否立即执行，默认 false
+ * @param {Object} options.clock 时钟，默认 systemClock，测试时可注入 createFakeClock()
  * @returns {Function} 节流后的函数
  */
 const throttle = (fn, options = {}) => {
-  const { wait = 500, immediate = false } = options;
+  const {
+    wait = 500,
+    immediate = false,
+    clock = typeof systemClock !== 'undefined' ? systemClock : require('./clock.js').systemClock
+  } = options;
   let timer = null;
   
   // 返回的函数必须用 function，保持 this 绑定
@@ -21,7 +28,7 @@ const throttle = (fn, options = {}) => {
     // 核心：有定时器就拒绝执行
     if (timer) return;
     
-    timer = setTimeout(() => {
+    timer = clock.setTimeout(() => {
       // 延迟模式：间隔结束时执行
       if (!immediate) {
         fn.apply(this, args);
@@ -38,13 +45,17 @@ const throttle = (fn, options = {}) => {
 
 // 带取消功能的节流 - 增强版
 const throttleWithCancel = (fn, options = {}) => {
-  const { wait = 500, immediate = false } = options;
+  const {
+    wait = 500,
+    immediate = false,
+    clock = typeof systemClock !== 'undefined' ? systemClock : require('./clock.js').systemClock
+  } = options;
   let timer = null;
   
   const throttled = function(...args) {
     if (timer) return;
     
-    timer = setTimeout(() => {
+    timer = clock.setTimeout(() => {
       if (!immediate) {
         fn.apply(this, args);
       }
@@ -58,13 +69,13 @@ const throttleWithCancel = (fn, options = {}) => {
   
   // 取消节流
   throttled.cancel = () => {
-    clearTimeout(timer);
+    clock.clearTimeout(timer);
     timer = null;
   };
   
   // 立即执行（跳过节流）
   throttled.flush = function(...args) {
-    clearTimeout(timer);
+    clock.clearTimeout(timer);
     timer = null;
     return fn.apply(this, args);
   };
@@ -73,11 +84,14 @@ const throttleWithCancel = (fn, options = {}) => {
 };
 
 // 时间戳版本（备选方案）- 适合需要精确时间控制的场景
-const throttleTimestamp = (fn, wait) => {
+const throttleTimestamp = (fn, wait, options = {}) => {
+  const {
+    clock = typeof systemClock !== 'undefined' ? systemClock : require('./clock.js').systemClock
+  } = options;
   let previous = 0;
   
   return function(...args) {
-    const now = Date.now();
+    const now = clock.now();
     if (now - previous >= wait) {
       previous = now;
       return fn.apply(this, args);
@@ -85,6 +99,98 @@ const throttleTimestamp = (fn, wait) => {
   };
 };
 
+/**
+ * 按调度器合并调用：一次调度内的多次调用只执行最后一次
+ * @param {Function} fn 要节流的函数
+ * @param {Function} schedule (callback) => id
+ * @param {Function} unschedule (id) => void
+ * @returns {Function} 节流后的函数，带 cancel / flush
+ */
+const createScheduledThrottle = (fn, schedule, unschedule) => {
+  let id = null;
+  let lastArgs = null;
+  let lastThis = null;
+  
+  const invoke = () => {
+    const args = lastArgs;
+    const context = lastThis;
+    id = null;
+    lastArgs = lastThis = null;
+    return fn.apply(context, args);
+  };
+  
+  const throttled = function(...args) {
+    // 只保留最后一次的参数，调度到时再执行
+    lastArgs = args;
+    lastThis = this;
+    if (id === null) {
+      id = schedule(invoke);
+    }
+  };
+  
+  // 取消等待中的执行
+  throttled.cancel = () => {
+    if (id !== null) {
+      unschedule(id);
+    }
+    id = null;
+    lastArgs = lastThis = null;
+  };
+  
+  // 立即执行等待中的调用
+  throttled.flush = () => {
+    if (id === null) return;
+    unschedule(id);
+    return invoke();
+  };
+  
+  return throttled;
+};
+
+/**
+ * requestAnimationFrame 节流 - 每帧最多执行一次
+ * 
+ * 适合滚动、拖拽等需要和渲染同步的场景，比固定 16ms 的定时器更准确
+ * 
+ * @param {Function} fn 要节流的函数
+ * @param {Object} options 配置选项
+ * @param {Object} options.clock 时钟，默认 systemClock，测试时可注入 createFakeClock()
+ * @param {Function} options.requestFrame 帧调度函数，默认 clock.requestAnimationFrame，不支持时降级为 16ms 定时器
+ * @param {Function} options.cancelFrame 取消帧调度，默认 clock.cancelAnimationFrame
+ * @returns {Function} 节流后的函数，带 cancel / flush
+ */
+const rafThrottle = (fn, options = {}) => {
+  const {
+    clock = typeof systemClock !== 'undefined' ? systemClock : require('./clock.js').systemClock,
+    requestFrame = clock.requestAnimationFrame,
+    cancelFrame = clock.cancelAnimationFrame
+  } = options;
+  return createScheduledThrottle(fn, requestFrame, cancelFrame);
+};
+
+/**
+ * requestIdleCallback 节流 - 浏览器空闲时执行
+ * 
+ * 适合埋点上报、预加载等低优先级任务，timeout 保证最迟执行时间
+ * 
+ * @param {Function} fn 要节流的函数
+ * @param {Object} options 配置选项
+ * @param {number} options.timeout 最长等待时间，超时后即使不空闲也执行，默认 1000ms
+ * @param {Object} options.clock 时钟，默认 systemClock，测试时可注入 createFakeClock()
+ * @param {Function} options.requestIdle 空闲调度函数，默认 clock.requestIdleCallback，不支持时降级为定时器
+ * @param {Function} options.cancelIdle 取消空闲调度，默认 clock.cancelIdleCallback
+ * @returns {Function} 节流后的函数，带 cancel / flush
+ */
+const idleThrottle = (fn, options = {}) => {
+  const {
+    timeout = 1000,
+    clock = typeof systemClock !== 'undefined' ? systemClock : require('./clock.js').systemClock,
+    requestIdle = clock.requestIdleCallback,
+    cancelIdle = clock.cancelIdleCallback
+  } = options;
+  return createScheduledThrottle(fn, (callback) => requestIdle(callback, { timeout }), cancelIdle);
+};
+
 // ===== 使用示例 =====
 
 // 滚动性能优化
@@ -114,4 +220,18 @@ const handleResize = function() {
   console.log('重新计算布局大小');
 };
 // 使用时间戳版本，精确控制间隔
-window.addEventListener('resize', throttleTimestamp(handleResize, 200));
\ No newline at end of file
+window.addEventListener('resize', throttleTimestamp(handleResize, 200));
+
+// 拖拽时每帧只更新一次位置
+const handleDragMove = function(e) {
+  console.log('更新拖拽位置:', e.clientX, e.clientY);
+};
+const rafDragMove = rafThrottle(handleDragMove);
+document.addEventListener('pointermove', rafDragMove);
+document.addEventListener('pointerup', () => rafDragMove.flush());
+
+// 空闲时批量上报埋点，最迟 2 秒
+const reportEvents = function() {
+  console.log('上报埋点');
+};
+document.addEventListener('click', idleThrottle(reportEvents, { timeout: 2000 }));
\ No newline at end of file
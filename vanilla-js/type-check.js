@@ -51,12 +51,10 @@ function getTypeComplete(val) {
     return primitiveType;
   }
   
-  // 函数类型细分
+  // 函数类型细分（GeneratorFunction / AsyncFunction 不是全局变量，借助可信 toStringTag 判断）
   if (primitiveType === 'function') {
-    if (val.constructor === Function) return 'function';
-    if (val.constructor === GeneratorFunction) return 'generatorfunction';
-    if (val.constructor === AsyncFunction) return 'asyncfunction';
-    return 'function';
+    const kind = getFunctionKind(val);
+    return kind === 'class' ? 'function' : kind;
   }
   
   // 对象类型详细判断
@@ -265,6 +263,715 @@ const validator = new TypeValidator()
     }
   });
 
+// 6. Schema 校验（参考 zod）
+//
+// 在 TypeValidator 之上组合出嵌套结构的校验：
+// Schema.object({ name: Schema.string().min(1), tags: Schema.array(Schema.string()) })
+// - 错误是结构化的 issue：{ code, path, expected, received, message }，一次收集全部错误
+// - parse 失败抛出 SchemaError，safeParse 返回 { success, data } / { success, error }
+// - 每个链式方法都返回新 schema，原 schema 不变，可以放心复用
+// - toJSDoc 生成 @typedef，编辑器和 TypeScript（checkJs）都能识别
+
+class SchemaError extends Error {
+  constructor(issues) {
+    super(issues.map(issue => `${formatPath(issue.path) || '(root)'}: ${issue.message}`).join('\n'));
+    this.name = 'SchemaError';
+    this.issues = issues;
+  }
+
+  // 按路径分组的错误信息，适合直接显示在表单字段下
+  flatten() {
+    const fieldErrors = {};
+    const formErrors = [];
+    this.issues.forEach(issue => {
+      if (issue.path.length === 0) {
+        formErrors.push(issue.message);
+        return;
+      }
+      const key = formatPath(issue.path);
+      (fieldErrors[key] = fieldErrors[key] || []).push(issue.message);
+    });
+    return { formErrors, fieldErrors };
+  }
+}
+
+// ['users', 0, 'name'] => 'users[0].name'
+function formatPath(path) {
+  return path.reduce((result, key) => (
+    typeof key === 'number' ? `${result}[${key}]` : result ? `${result}.${key}` : String(key)
+  ), '');
+}
+
+// 错误信息里的类型名：NaN 单独标出，其余沿用 getTypeAdvanced
+function getReceivedType(value) {
+  return Number.isNaN(value) ? 'nan' : getTypeAdvanced(value);
+}
+
+class BaseSchema {
+  constructor(typeValidator = validator) {
+    this.typeValidator = typeValidator;
+    this.checks = []; // { name, code, message, test }
+  }
+
+  // 复制一份再修改，保证链式调用不影响原 schema
+  clone(changes = {}) {
+    return Object.assign(Object.create(Object.getPrototypeOf(this)), this, changes);
+  }
+
+  addCheck(check) {
+    return this.clone({ checks: [...this.checks, check] });
+  }
+
+  // 子类实现：校验类型并返回解析结果，失败时写入 issues
+  parseType(value, path, issues) {
+    return value;
+  }
+
+  run(value, path, issues) {
+    const before = issues.length;
+    const result = this.parseType(value, path, issues);
+    // 类型不对时不再执行 min / refine 等检查
+    if (issues.length > before) {
+      return result;
+    }
+    this.checks.forEach(check => {
+      if (!check.test(result)) {
+        issues.push({
+          code: check.code,
+          path: check.path ? [...path, ...check.path] : path,
+          expected: check.name,
+          received: getReceivedType(result),
+          message: check.message
+        });
+      }
+    });
+    return result;
+  }
+
+  safeParse(value) {
+    const issues = [];
+    const data = this.run(value, [], issues);
+    return issues.length === 0
+      ? { success: true, data }
+      : { success: false, error: new SchemaError(issues) };
+  }
+
+  parse(value) {
+    const result = this.safeParse(value);
+    if (!result.success) {
+      throw result.error;
+    }
+    return result.data;
+  }
+
+  optional() {
+    return new OptionalSchema(this);
+  }
+
+  nullable() {
+    return new NullableSchema(this);
+  }
+
+  /**
+   * 自定义检查
+   * @param {Function} test (value) => boolean
+   * @param {string|Object} options 错误信息，或 { message, path }，path 用于把跨字段的错误指向某个字段
+   */
+  refine(test, options = {}) {
+    const { message = 'Invalid value', path } = typeof options === 'string' ? { message: options } : options;
+    return this.addCheck({ name: 'refine', code: 'custom', message, path, test });
+  }
+
+  // 用 TypeValidator 的规则校验类型，错误信息统一为 Expected x, received y
+  expectRule(ruleName, expected, value, path, issues) {
+    if (this.typeValidator.validate(value, ruleName)) {
+      return true;
+    }
+    const received = getReceivedType(value);
+    issues.push({
+      code: 'invalid_type',
+      path,
+      expected,
+      received,
+      message: `Expected ${expected}, received ${received}`
+    });
+    return false;
+  }
+
+  // 对应的 JSDoc 类型表达式
+  toType() {
+    return '*';
+  }
+
+  /**
+   * 生成 JSDoc typedef
+   * 对象 schema 生成 @property 列表（可选字段用 [name]），其他生成单行 typedef
+   */
+  toJSDoc(name) {
+    return `/** @typedef {${this.toType()}} ${name} */`;
+  }
+}
+
+class StringSchema extends BaseSchema {
+  parseType(value, path, issues) {
+    this.expectRule('string', 'string', value, path, issues);
+    return value;
+  }
+
+  min(length, message = `String must contain at least ${length} character(s)`) {
+    return this.addCheck({ name: `min(${length})`, code: 'too_small', message, test: value => value.length >= length });
+  }
+
+  max(length, message = `String must contain at most ${length} character(s)`) {
+    return this.addCheck({ name: `max(${length})`, code: 'too_big', message, test: value => value.length <= length });
+  }
+
+  regex(pattern, message = `String must match ${pattern}`) {
+    return this.addCheck({ name: `regex(${pattern})`, code: 'invalid_string', message, test: value => pattern.test(value) });
+  }
+
+  // 复用 TypeValidator 上注册的 email 规则
+  email(message = 'Invalid email') {
+    return this.addCheck({ name: 'email', code: 'invalid_string', message, test: value => this.typeValidator.validate(value, 'email') });
+  }
+
+  toType() {
+    return 'string';
+  }
+}
+
+class NumberSchema extends BaseSchema {
+  parseType(value, path, issues) {
+    this.expectRule('number', 'number', value, path, issues);
+    return value;
+  }
+
+  int(message = 'Expected integer, received float') {
+    return this.addCheck({ name: 'int', code: 'invalid_type', message, test: Number.isInteger });
+  }
+
+  min(minimum, message = `Number must be greater than or equal to ${minimum}`) {
+    return this.addCheck({ name: `min(${minimum})`, code: 'too_small', message, test: value => value >= minimum });
+  }
+
+  max(maximum, message = `Number must be less than or equal to ${maximum}`) {
+    return this.addCheck({ name: `max(${maximum})`, code: 'too_big', message, test: value => value <= maximum });
+  }
+
+  positive(message = 'Number must be greater than 0') {
+    return this.addCheck({ name: 'positive', code: 'too_small', message, test: value => value > 0 });
+  }
+
+  toType() {
+    return 'number';
+  }
+}
+
+class BooleanSchema extends BaseSchema {
+  parseType(value, path, issues) {
+    this.expectRule('boolean', 'boolean', value, path, issues);
+    return value;
+  }
+
+  toType() {
+    return 'boolean';
+  }
+}
+
+class DateSchema extends BaseSchema {
+  parseType(value, path, issues) {
+    this.expectRule('date', 'date', value, path, issues);
+    return value;
+  }
+
+  toType() {
+    return 'Date';
+  }
+}
+
+// 任意已注册的 TypeValidator 规则（如 url），类型表达式由调用方指定
+class RuleSchema extends BaseSchema {
+  constructor(ruleName, type = '*', typeValidator = validator) {
+    super(typeValidator);
+    this.ruleName = ruleName;
+    this.type = type;
+  }
+
+  parseType(value, path, issues) {
+    this.expectRule(this.ruleName, this.ruleName, value, path, issues);
+    return value;
+  }
+
+  toType() {
+    return this.type;
+  }
+}
+
+class LiteralSchema extends BaseSchema {
+  constructor(value) {
+    super();
+    this.value = value;
+  }
+
+  parseType(value, path, issues) {
+    if (!Object.is(value, this.value)) {
+      const expected = this.toType();
+      issues.push({
+        code: 'invalid_literal',
+        path,
+        expected,
+        received: getReceivedType(value),
+        message: `Invalid literal value, expected ${expected}`
+      });
+    }
+    return value;
+  }
+
+  toType() {
+    return typeof this.value === 'string' ? JSON.stringify(this.value) : String(this.value);
+  }
+}
+
+class ArraySchema extends BaseSchema {
+  constructor(item) {
+    super();
+    this.item = item;
+  }
+
+  parseType(value, path, issues) {
+    if (!this.expectRule('array', 'array', value, path, issues)) {
+      return value;
+    }
+    // 按下标遍历：map 会跳过空位，[, 1] 的空位要当作 undefined 交给元素 Schema 校验
+    const result = [];
+    for (let index = 0; index < value.length; index++) {
+      result.push(this.item.run(value[index], [...path, index], issues));
+    }
+    return result;
+  }
+
+  min(length, message = `Array must contain at least ${length} element(s)`) {
+    return this.addCheck({ name: `min(${length})`, code: 'too_small', message, test: value => value.length >= length });
+  }
+
+  max(length, message = `Array must contain at most ${length} element(s)`) {
+    return this.addCheck({ name: `max(${length})`, code: 'too_big', message, test: value => value.length <= length });
+  }
+
+  toType() {
+    return `Array<${this.item.toType()}>`;
+  }
+}
+
+class ObjectSchema extends BaseSchema {
+  constructor(shape) {
+    super();
+    this.shape = shape;
+    this.unknownKeys = 'strip'; // strip：丢弃未声明的键；strict：报错；passthrough：保留
+  }
+
+  parseType(value, path, issues) {
+    if (!this.expectRule('object', 'object', value, path, issues)) {
+      return value;
+    }
+
+    // 只看自身属性：原型上的 constructor、toString 既不算输入的值，也不算已声明的键
+    const result = {};
+    Object.entries(this.shape).forEach(([key, schema]) => {
+      const hasKey = Object.hasOwn(value, key);
+      const parsed = schema.run(hasKey ? value[key] : undefined, [...path, key], issues);
+      if (parsed !== undefined || hasKey) {
+        result[key] = parsed;
+      }
+    });
+
+    const unknownKeys = Object.keys(value).filter(key => !Object.hasOwn(this.shape, key));
+    if (this.unknownKeys === 'passthrough') {
+      unknownKeys.forEach(key => {
+        result[key] = value[key];
+      });
+    } else if (this.unknownKeys === 'strict' && unknownKeys.length > 0) {
+      issues.push({
+        code: 'unrecognized_keys',
+        path,
+        expected: 'known keys',
+        received: unknownKeys.join(', '),
+        message: `Unrecognized key(s) in object: ${unknownKeys.map(key => `'${key}'`).join(', ')}`
+      });
+    }
+    return result;
+  }
+
+  strict() {
+    return this.clone({ unknownKeys: 'strict' });
+  }
+
+  passthrough() {
+    return this.clone({ unknownKeys: 'passthrough' });
+  }
+
+  extend(shape) {
+    return this.clone({ shape: { ...this.shape, ...shape } });
+  }
+
+  toType() {
+    const fields = Object.entries(this.shape).map(([key, schema]) => (
+      schema instanceof OptionalSchema
+        ? `${key}?: ${schema.inner.toType()}`
+        : `${key}: ${schema.toType()}`
+    ));
+    return `{ ${fields.join(', ')} }`;
+  }
+
+  toJSDoc(name) {
+    const lines = ['/**', ` * @typedef {Object} ${name}`];
+    Object.entries(this.shape).forEach(([key, schema]) => {
+      lines.push(schema instanceof OptionalSchema
+        ? ` * @property {${schema.inner.toType()}} [${key}]`
+        : ` * @property {${schema.toType()}} ${key}`);
+    });
+    lines.push(' */');
+    return lines.join('\n');
+  }
+}
+
+// 依次尝试每个选项，第一个通过的生效；都不通过时报一个 invalid_union，附上各选项的错误
+class UnionSchema extends BaseSchema {
+  constructor(options) {
+    super();
+    this.options = options;
+  }
+
+  parseType(value, path, issues) {
+    const unionIssues = [];
+    for (const option of this.options) {
+      const optionIssues = [];
+      const parsed = option.run(value, path, optionIssues);
+      if (optionIssues.length === 0) {
+        return parsed;
+      }
+      unionIssues.push(optionIssues);
+    }
+    const expected = this.toType();
+    const received = getReceivedType(value);
+    issues.push({
+      code: 'invalid_union',
+      path,
+      expected,
+      received,
+      message: `Expected ${expected}, received ${received}`,
+      unionIssues
+    });
+    return value;
+  }
+
+  toType() {
+    return this.options.map(option => option.toType()).join(' | ');
+  }
+}
+
+class OptionalSchema extends BaseSchema {
+  constructor(inner) {
+    super();
+    this.inner = inner;
+  }
+
+  parseType(value, path, issues) {
+    return value === undefined ? undefined : this.inner.run(value, path, issues);
+  }
+
+  toType() {
+    return `${this.inner.toType()} | undefined`;
+  }
+}
+
+class NullableSchema extends BaseSchema {
+  constructor(inner) {
+    super();
+    this.inner = inner;
+  }
+
+  parseType(value, path, issues) {
+    return value === null ? null : this.inner.run(value, path, issues);
+  }
+
+  toType() {
+    return `${this.inner.toType()} | null`;
+  }
+}
+
+// schema 构造入口
+const Schema = {
+  string: () => new StringSchema(),
+  number: () => new NumberSchema(),
+  boolean: () => new BooleanSchema(),
+  date: () => new DateSchema(),
+  literal: value => new LiteralSchema(value),
+  array: item => new ArraySchema(item),
+  object: shape => new ObjectSchema(shape),
+  union: (...options) => new UnionSchema(options.flat()),
+  optional: schema => schema.optional(),
+  nullable: schema => schema.nullable(),
+  // 使用 TypeValidator 上注册的规则，如 Schema.rule('url', 'string')
+  rule: (name, type, typeValidator = validator) => new RuleSchema(name, type, typeValidator)
+};
+
+// 7. 可靠的类型检测 - 品牌检查（brand check）
+//
+// Object.prototype.toString 的结果可以被 Symbol.toStringTag 伪造，instanceof 在 iframe / vm 之间失效
+// 做法：优先借用内置方法访问内部插槽（[[MapData]]、[[DateValue]] 等），调用不抛错说明是真的
+// - 插槽检查与 realm 无关，另一个 realm 的对象同样有这些插槽
+// - 没有插槽可查的类型（Generator、Math 等）才看 toStringTag，并且只相信内置原型上的标签
+// - Proxy 在纯 JS 中无法识别，Node 环境下借助 util.types
+
+// Node 环境才有 util.types，浏览器中为 null
+const nodeTypes = (() => {
+  try {
+    return typeof require === 'function' ? require('util').types : null;
+  } catch {
+    return null;
+  }
+})();
+
+const isNativeCode = (fn) => /\{\s*\[native code\]\s*\}\s*$/.test(Function.prototype.toString.call(fn));
+
+// 调用不抛错即通过
+const passes = (fn) => (value) => {
+  try {
+    fn(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const slotGetter = (proto, key) => Object.getOwnPropertyDescriptor(proto, key).get;
+const typedArrayTagGetter = slotGetter(Object.getPrototypeOf(Int8Array.prototype), Symbol.toStringTag);
+
+// 有内部插槽的类型，按顺序检查，类型名统一小写
+const BRAND_CHECKS = [
+  ['array', Array.isArray],
+  ['typedarray', (value) => typedArrayTagGetter.call(value) !== undefined],
+  ['arraybuffer', passes((value) => slotGetter(ArrayBuffer.prototype, 'byteLength').call(value))],
+  ['sharedarraybuffer', (value) => typeof SharedArrayBuffer === 'function'
+    && passes((v) => slotGetter(SharedArrayBuffer.prototype, 'byteLength').call(v))(value)],
+  ['dataview', passes((value) => slotGetter(DataView.prototype, 'byteLength').call(value))],
+  ['map', passes((value) => slotGetter(Map.prototype, 'size').call(value))],
+  ['set', passes((value) => slotGetter(Set.prototype, 'size').call(value))],
+  ['weakmap', passes((value) => WeakMap.prototype.has.call(value, {}))],
+  ['weakset', passes((value) => WeakSet.prototype.has.call(value, {}))],
+  ['weakref', (value) => typeof WeakRef === 'function'
+    && passes((v) => WeakRef.prototype.deref.call(v))(value)],
+  ['finalizationregistry', (value) => typeof FinalizationRegistry === 'function'
+    && passes((v) => FinalizationRegistry.prototype.unregister.call(v, {}))(value)],
+  ['date', passes((value) => Date.prototype.getTime.call(value))],
+  // RegExp.prototype 本身调用 global getter 返回 undefined，不算正则
+  ['regexp', (value) => {
+    try {
+      return slotGetter(RegExp.prototype, 'global').call(value) !== undefined;
+    } catch {
+      return false;
+    }
+  }],
+  ['booleanobject', passes((value) => Boolean.prototype.valueOf.call(value))],
+  ['numberobject', passes((value) => Number.prototype.valueOf.call(value))],
+  ['stringobject', passes((value) => String.prototype.valueOf.call(value))],
+  ['symbolobject', passes((value) => Symbol.prototype.valueOf.call(value))],
+  ['bigintobject', passes((value) => BigInt.prototype.valueOf.call(value))]
+];
+
+// 原型链上第一个定义 Symbol.toStringTag 的对象
+function findTagOwner(value) {
+  for (let obj = value; obj !== null; obj = Object.getPrototypeOf(obj)) {
+    if (Object.getOwnPropertyDescriptor(obj, Symbol.toStringTag)) {
+      return obj;
+    }
+  }
+  return null;
+}
+
+// 某个 realm 的内置原型：自身的 constructor 是原生函数，且 constructor.prototype 指回它（如 Promise.prototype）
+// %GeneratorPrototype% 的 constructor 是 GeneratorFunction.prototype（对象），同样要求它指回来并且本身是内置原型
+// 内置构造函数的 prototype 不可写，伪造的对象无法让原生函数指向自己
+function isIntrinsicPrototype(obj, depth = 0) {
+  const descriptor = Object.getOwnPropertyDescriptor(obj, 'constructor');
+  const ctor = descriptor && descriptor.value;
+  if (typeof ctor === 'function') {
+    return isNativeCode(ctor) && ctor.prototype === obj;
+  }
+  if (depth > 0 || ctor === null || typeof ctor !== 'object') {
+    return false;
+  }
+  const prototypeDescriptor = Object.getOwnPropertyDescriptor(ctor, 'prototype');
+  return Boolean(prototypeDescriptor && prototypeDescriptor.value === obj) && isIntrinsicPrototype(ctor, depth + 1);
+}
+
+// 命名空间对象（Math、JSON、Atomics）的标签在自身上，只能按身份确认：
+// 沿它的原型（某个 realm 的 Object.prototype）找到那个 realm 的 Function，取出同名全局对象比较
+// CSP 禁止 Function 构造时抛错，退化为只认本 realm 的命名空间对象
+function isNamespaceObject(value, name) {
+  if (globalThis[name] === value) return true;
+  try {
+    const realmObject = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(value), 'constructor').value;
+    const realmFunction = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(realmObject), 'constructor').value;
+    if (typeof realmFunction !== 'function' || realmFunction.name !== 'Function' || !isNativeCode(realmFunction)) {
+      return false;
+    }
+    return realmFunction(`return typeof ${name} === 'object' ? ${name} : undefined;`)() === value;
+  } catch {
+    return false;
+  }
+}
+
+// 标签在值自身上时只可能是这些命名空间对象
+const NAMESPACE_TAGS = new Set(['Math', 'JSON', 'Atomics']);
+
+// 内置的 toStringTag 都是不可写、不可枚举、可配置的字符串数据属性
+// 只相信内置原型或命名空间对象上的标签，值自身、普通对象、用户定义的类原型上的都不算
+function getTrustedTag(value) {
+  const owner = findTagOwner(value);
+  if (!owner) return null;
+
+  const descriptor = Object.getOwnPropertyDescriptor(owner, Symbol.toStringTag);
+  if (!('value' in descriptor) || typeof descriptor.value !== 'string'
+      || descriptor.writable || descriptor.enumerable || !descriptor.configurable) {
+    return null;
+  }
+  const tag = descriptor.value;
+  if (owner === value) {
+    return NAMESPACE_TAGS.has(tag) && isNamespaceObject(value, tag) ? tag : null;
+  }
+  return isIntrinsicPrototype(owner) ? tag : null;
+}
+
+// 没有插槽可查、只能依赖可信 toStringTag 的类型
+const TAG_TYPES = {
+  Generator: 'generator',
+  AsyncGenerator: 'asyncgenerator',
+  Promise: 'promise',
+  Math: 'math',
+  JSON: 'json',
+  Atomics: 'atomics'
+};
+
+// 函数细分：async / generator / async generator 看可信标签，class 看源码
+function getFunctionKind(fn) {
+  switch (getTrustedTag(fn)) {
+    case 'AsyncFunction': return 'asyncfunction';
+    case 'GeneratorFunction': return 'generatorfunction';
+    case 'AsyncGeneratorFunction': return 'asyncgeneratorfunction';
+  }
+  return /^class\b/.test(Function.prototype.toString.call(fn)) ? 'class' : 'function';
+}
+
+// 普通对象：原型为 null，或是某个 realm 的 Object.prototype
+function isPlainObjectAnyRealm(value) {
+  const proto = Object.getPrototypeOf(value);
+  if (proto === null) return true;
+  if (Object.getPrototypeOf(proto) !== null) return false;
+  const descriptor = Object.getOwnPropertyDescriptor(proto, 'constructor');
+  return Boolean(descriptor && typeof descriptor.value === 'function'
+    && descriptor.value.name === 'Object' && isNativeCode(descriptor.value));
+}
+
+/**
+ * 规范类型名：每个值只对应一个小写类型名，跨 realm 一致，不受 Symbol.toStringTag 伪造影响
+ *
+ * 基本类型：undefined null boolean number nan string symbol bigint
+ * 函数：function class asyncfunction generatorfunction asyncgeneratorfunction
+ * 对象：array typedarray map set date regexp error promise ... object（普通对象）instance（其他对象）
+ * Node 中的 Proxy 返回 proxy
+ */
+function getTypeStrict(value) {
+  if (value === null) return 'null';
+  const type = typeof value;
+  if (type === 'number' && Number.isNaN(value)) return 'nan';
+  if (type !== 'object' && type !== 'function') return type;
+
+  if (nodeTypes && nodeTypes.isProxy(value)) return 'proxy';
+  if (type === 'function') return getFunctionKind(value);
+
+  for (const [name, check] of BRAND_CHECKS) {
+    if (check(value)) return name;
+  }
+
+  if (nodeTypes && nodeTypes.isPromise(value)) return 'promise';
+  if (typeof Error.isError === 'function' && Error.isError(value)) return 'error';
+
+  const tagOwner = findTagOwner(value);
+  if (!tagOwner) {
+    // 没有 Symbol.toStringTag 时，toString 的结果来自内部插槽，可以信任
+    const builtinTag = Object.prototype.toString.call(value).slice(8, -1);
+    if (builtinTag === 'Error') return 'error';
+    if (builtinTag === 'Arguments') return 'arguments';
+  } else {
+    const tag = getTrustedTag(value);
+    // Node 中 promise 已由 util.types 判断过，这里只处理浏览器
+    if (tag && TAG_TYPES[tag] && !(nodeTypes && tag === 'Promise')) return TAG_TYPES[tag];
+  }
+
+  return isPlainObjectAnyRealm(value) ? 'object' : 'instance';
+}
+
+// 类型名 => 守卫函数名
+const TYPE_GUARD_NAMES = {
+  undefined: 'Undefined',
+  null: 'Null',
+  boolean: 'Boolean',
+  number: 'Number',
+  nan: 'NaN',
+  string: 'String',
+  symbol: 'Symbol',
+  bigint: 'BigInt',
+  function: 'PlainFunction',
+  class: 'Class',
+  asyncfunction: 'AsyncFunction',
+  generatorfunction: 'GeneratorFunction',
+  asyncgeneratorfunction: 'AsyncGeneratorFunction',
+  proxy: 'Proxy',
+  array: 'Array',
+  typedarray: 'TypedArray',
+  arraybuffer: 'ArrayBuffer',
+  sharedarraybuffer: 'SharedArrayBuffer',
+  dataview: 'DataView',
+  map: 'Map',
+  set: 'Set',
+  weakmap: 'WeakMap',
+  weakset: 'WeakSet',
+  weakref: 'WeakRef',
+  finalizationregistry: 'FinalizationRegistry',
+  date: 'Date',
+  regexp: 'RegExp',
+  booleanobject: 'BooleanObject',
+  numberobject: 'NumberObject',
+  stringobject: 'StringObject',
+  symbolobject: 'SymbolObject',
+  bigintobject: 'BigIntObject',
+  promise: 'Promise',
+  error: 'Error',
+  arguments: 'Arguments',
+  generator: 'Generator',
+  asyncgenerator: 'AsyncGenerator',
+  math: 'Math',
+  json: 'JSON',
+  atomics: 'Atomics',
+  object: 'PlainObject',
+  instance: 'Instance'
+};
+
+// 每个类型一个 is* 守卫，另加几个组合守卫
+const TypeGuards = {
+  ...Object.fromEntries(Object.entries(TYPE_GUARD_NAMES).map(([type, name]) => [
+    `is${name}`,
+    (value) => getTypeStrict(value) === type
+  ])),
+  isFunction: (value) => typeof value === 'function',
+  isPrimitive: (value) => value === null || (typeof value !== 'object' && typeof value !== 'function'),
+  isBoxedPrimitive: (value) => /^(boolean|number|string|symbol|bigint)object$/.test(getTypeStrict(value)),
+  // 具体的类型化数组，如 isTypedArrayOf(value, 'Uint8Array')
+  isTypedArrayOf: (value, name) => typedArrayTagGetter.call(value) === name
+};
+
 // 测试用例
 console.log('=== 类型检测测试 ===\n');
 
@@ -321,3 +1028,89 @@ console.log('\n相等性检测：');
 console.log('isEqual([1,2], [1,2]):', TypeChecker.isEqual([1,2], [1,2]));
 console.log('isEqual({a:1}, {a:1}):', TypeChecker.isEqual({a:1}, {a:1}));
 console.log('isEqual({a:1}, {a:2}):', TypeChecker.isEqual({a:1}, {a:2}));
+
+console.log('\nSchema 校验：');
+const userSchema = Schema.object({
+  name: Schema.string().min(2),
+  age: Schema.number().int().min(0),
+  email: Schema.string().email(),
+  role: Schema.union(Schema.literal('admin'), Schema.literal('user')),
+  tags: Schema.array(Schema.string()).optional(),
+  homepage: Schema.rule('url', 'string').nullable()
+});
+
+console.log('parse:', userSchema.parse({ ...user, role: 'admin', homepage: null, extra: 1 }));
+const invalid = userSchema.safeParse({ name: 'J', age: 1.5, email: 'x', role: 'guest', tags: ['a', 1], homepage: 'nope' });
+console.log('safeParse 错误:', invalid.error.issues.map(({ path, expected, received, message }) => ({
+  path: formatPath(path), expected, received, message
+})));
+
+const passwordForm = Schema.object({
+  password: Schema.string().min(8),
+  confirm: Schema.string()
+}).refine(data => data.password === data.confirm, { message: '两次输入不一致', path: ['confirm'] });
+console.log('refine:', passwordForm.safeParse({ password: '12345678', confirm: '1234' }).error.flatten());
+
+console.log(userSchema.toJSDoc('User'));
+
+console.log('\n可靠的类型检测：');
+// 伪造 toStringTag / 篡改原型都骗不过品牌检查
+const spoofCases = [
+  ['{ [Symbol.toStringTag]: "Map" }', { [Symbol.toStringTag]: 'Map' }, 'object'],
+  ['Object.setPrototypeOf({}, Map.prototype)', Object.setPrototypeOf({}, Map.prototype), 'instance'],
+  ['Object.setPrototypeOf([], null)', Object.setPrototypeOf([], null), 'array'],
+  ['Object.create(null)', Object.create(null), 'object'],
+  ['{ [Symbol.toStringTag]: "Generator" }', { [Symbol.toStringTag]: 'Generator' }, 'object'],
+  ['自身不可写的 Generator 标签', Object.defineProperty({}, Symbol.toStringTag, { value: 'Generator', configurable: true }), 'object'],
+  ['自身不可写的 AsyncGenerator 标签', Object.defineProperty({}, Symbol.toStringTag, { value: 'AsyncGenerator', configurable: true }), 'object'],
+  ['自身不可写的 Math 标签', Object.defineProperty({}, Symbol.toStringTag, { value: 'Math', configurable: true }), 'object'],
+  ['原型上的 Generator 标签', Object.create(Object.defineProperty({}, Symbol.toStringTag, { value: 'Generator', configurable: true })), 'instance'],
+  ['class 定义的 toStringTag', new (class { get [Symbol.toStringTag]() { return 'Date'; } })(), 'instance'],
+  ['new Proxy([], {})', new Proxy([], {}), nodeTypes ? 'proxy' : 'array']
+];
+spoofCases.forEach(([label, value, expected]) => {
+  const actual = getTypeStrict(value);
+  console.log(`${actual === expected ? '✓' : '✗'} ${label}: ${actual}`);
+});
+console.log('getTypeComplete(async function* () {}):', getTypeComplete(async function* () {}));
+console.log('TypeGuards.isMap(new Map()):', TypeGuards.isMap(new Map()));
+console.log('TypeGuards.isTypedArrayOf(new Uint8Array(1), "Uint8Array"):', TypeGuards.isTypedArrayOf(new Uint8Array(1), 'Uint8Array'));
+
+// 跨 realm 矩阵：vm 创建的值与本 realm 的值类型名应当一致（只在 Node 中运行）
+if (typeof require === 'function') {
+  const vm = require('vm');
+  const realmSources = [
+    'undefined', 'null', 'NaN', '1n', '"s"', 'Symbol()',
+    '(function () {})', '(class {})', '(async () => {})', '(function* () {})', '(async function* () {})',
+    '[]', 'new Uint8Array(2)', 'new Float64Array(2)', 'new ArrayBuffer(8)', 'new DataView(new ArrayBuffer(8))',
+    'new Map()', 'new Set()', 'new WeakMap()', 'new WeakSet()', 'new WeakRef({})', 'new FinalizationRegistry(() => {})',
+    'new Date()', '/x/g', 'new Error("e")', 'new TypeError("e")', 'Promise.resolve()',
+    'Object(true)', 'Object(1)', 'Object("s")', 'Object(Symbol())', 'Object(1n)',
+    '(function () { return arguments; })()', '(function* () {})()', '(async function* () {})()',
+    'Math', 'JSON', '({})', 'Object.create(null)', 'new (class Foo {})()', 'new Proxy({}, {})',
+    '({ [Symbol.toStringTag]: "Array" })', 'Object.setPrototypeOf({}, Set.prototype)'
+  ];
+  const context = vm.createContext();
+  const rows = realmSources.map((source) => {
+    const local = getTypeStrict(eval(source));
+    const foreign = getTypeStrict(vm.runInContext(source, context));
+    return { source, local, foreign, same: local === foreign };
+  });
+  console.table(rows);
+  console.log('跨 realm 全部一致:', rows.every((row) => row.same));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getType,
+    getTypeAdvanced,
+    getTypeComplete,
+    TypeChecker,
+    TypeValidator,
+    validator,
+    getTypeStrict,
+    TypeGuards,
+    Schema,
+    SchemaError
+  };
+}